@@ -2,10 +2,61 @@
  * Airbnb Wishlist to Google Sheets Extension
  * Background Script (background.js)
  *
- * This script handles OAuth2 authentication with Google and manages Google Sheets API requests.
- * It runs in the background and communicates with popup.js and content.js.
+ * This script handles OAuth2 authentication with Google and runs exports through the
+ * registered exporters (see exporters/). It runs in the background and communicates
+ * with popup.js and content.js.
  */
 
+/**
+ * Registered exporters, keyed by ID. An exporter writes wishlist data to one
+ * destination and implements:
+ * - id {string}: ID sent by the popup when it starts an export job
+ * - label {string}: Name shown to the user
+ * - authenticate(): Promise resolving with an auth context; rejects with
+ *   error.needsAuth = true when the user has to sign in
+ * - resetAuthentication(): Promise forgetting invalid credentials
+ * - openTarget(auth, options): Promise resolving with the target to write to:
+ *   the one the user chose in options.destination (e.g. a spreadsheet URL)
+ *   as the tab options.sheetTitle, the one linked to options.wishlistId in
+ *   sync mode, or a new one named options.title
+ * - writeRows(auth, target, wishlistData, options): Promise resolving with
+ *   { synced, stats, rowCount, headers } once the listings are written
+ * - openWorkbook(auth, options) (optional): Promise creating a new target
+ *   named options.title with one sheet per title in options.sheetTitles,
+ *   resolving with one target per title; needed to export every wishlist at once
+ * - writeHistory(auth, target, snapshot) (optional): Promise recording a price snapshot
+ * - writeRanking(auth, target, options) (optional): Promise scoring the written
+ *   rows with options.criteria, given the options.columns written and the
+ *   options.headers and options.rowCount returned by writeRows
+ * - getTargetUrl(target): URL where the user can open the export
+ */
+const exporters = {};
+
+/**
+ * Registers an exporter so export jobs started from the popup through the
+ * "exportJob" port (see startExportJob) and scheduled syncs can use it
+ * @param {Object} exporter - The exporter (see exporters above)
+ */
+function registerExporter(exporter) {
+  console.log("Registering exporter:", exporter.id);
+  exporters[exporter.id] = exporter;
+}
+
+// Column definitions and export settings shared with the popup's file
+// downloads, the words used on room pages in each language, the extraction
+// health check, the scoring model, the scheduled sync and alert settings,
+// then the exporters
+importScripts(
+  "columns.js",
+  "export-settings.js",
+  "locales.js",
+  "extraction-health.js",
+  "scoring.js",
+  "sync-schedule.js",
+  "price-alerts.js",
+  "exporters/google-sheets.js"
+);
+
 // Track authentication state
 let authToken = null;
 
@@ -96,6 +147,7 @@ chrome.runtime.onStartup.addListener(function () {
     .catch((error) =>
       console.log("Token validation failed on startup:", error.message)
     );
+  scheduleSyncAlarms();
 });
 
 chrome.runtime.onInstalled.addListener(function () {
@@ -105,6 +157,33 @@ chrome.runtime.onInstalled.addListener(function () {
     .catch((error) =>
       console.log("Token validation failed on install:", error.message)
     );
+  scheduleSyncAlarms();
+});
+
+// Re-create the alarms when the schedules change on the options page
+chrome.storage.onChanged.addListener(function (changes, areaName) {
+  if (areaName === "local" && changes.syncSchedules) {
+    scheduleSyncAlarms();
+  }
+});
+
+// Run the scheduled syncs
+chrome.alarms.onAlarm.addListener(function (alarm) {
+  if (alarm.name.startsWith(SYNC_ALARM_PREFIX)) {
+    runScheduledSync(alarm.name.substring(SYNC_ALARM_PREFIX.length));
+  }
+});
+
+// Open the listing of a clicked alert
+chrome.notifications.onClicked.addListener(function (notificationId) {
+  if (!notificationId.startsWith(ALERT_NOTIFICATION_PREFIX)) {
+    return;
+  }
+  const link = notificationId.split("|").slice(2).join("|");
+  if (link) {
+    chrome.tabs.create({ url: link });
+  }
+  chrome.notifications.clear(notificationId);
 });
 
 // Main message listener
@@ -117,11 +196,27 @@ chrome.runtime.onMessage.addListener(function (request, sender, sendResponse) {
     return true; // Indicates async response
   }
 
-  // Handle saving data to Google Sheets
-  if (request.action === "saveToGoogleSheets") {
-    handleSaveToGoogleSheets(request, sendResponse);
-    return true; // Indicates async response
+  // Pass on the listing count of the extraction run by the export job
+  if (request.action === "extractionProgress") {
+    if (exportJob && sender.tab && sender.tab.id === exportJob.tabId) {
+      reportJobProgress(exportJob, request);
+    }
+  }
+});
+
+// Popups follow the export job through a port
+chrome.runtime.onConnect.addListener(function (port) {
+  if (port.name !== EXPORT_JOB_PORT) {
+    return;
   }
+
+  console.log("Popup connected to the export job");
+  exportJobPorts.push(port);
+  port.onDisconnect.addListener(function () {
+    exportJobPorts.splice(exportJobPorts.indexOf(port), 1);
+  });
+  port.onMessage.addListener(handleExportJobMessage);
+  attachToExportJob(port);
 });
 
 /**
@@ -157,421 +252,1619 @@ function handleAuthorization(sendResponse) {
     });
 }
 
+// Exports run one at a time, whether started from the popup or by a
+// scheduled sync: they update the same stored price history, alert state
+// and wishlist links, and alarms firing together would otherwise open
+// several wishlist tabs at once
+let exportQueue = Promise.resolve();
+
 /**
- * Handles requests to save data to Google Sheets
- * @param {Object} request - The request object containing wishlist data
- * @param {function} sendResponse - Function to send response back to caller
+ * Runs an export once the exports queued before it have finished
+ * @param {Function} task - Starts the export and returns its promise
+ * @returns {Promise<*>} A promise with the result of the task
  */
-function handleSaveToGoogleSheets(request, sendResponse) {
-  console.log("Saving data to Google Sheets...");
+function queueExport(task) {
+  const run = exportQueue.then(task);
+  // The next export waits for this one, whether it succeeds or not
+  exportQueue = run.catch(() => {});
+  return run;
+}
 
-  // Check for valid data
-  if (!isValidWishlistData(request.wishlistData)) {
-    console.error("No valid wishlist data received");
-    sendResponse({
-      success: false,
-      error: "No valid wishlist data to save",
-    });
-    return;
-  }
+// Name of the port popups connect on to follow the export job
+const EXPORT_JOB_PORT = "exportJob";
 
-  // Get token from storage
-  chrome.storage.local.get(["token"], function (data) {
-    // Handle storage errors
-    if (chrome.runtime.lastError) {
-      console.error("Storage error:", chrome.runtime.lastError);
-      sendResponse({
-        success: false,
-        error: `Storage error: ${chrome.runtime.lastError.message}`,
-      });
-      return;
-    }
+/**
+ * The export started from the popup, or null. It runs here rather than in
+ * the popup so it finishes when the popup closes. Its fields:
+ * - id {number}, kind {string} ("wishlist" or "allWishlists"), startedAt {string}
+ * - state {string}: "running", "confirming" (waiting for the user to accept
+ *   an extraction with empty fields), "done", "failed" or "canceled"
+ * - progress {Object}: the last progress event (see reportJobProgress)
+ * - tabId {number}: the tab the listings are extracted from
+ * - extraction {Object}: the content script response, for the health report
+ * - error {string}: why the job failed before exporting, e.g. no listings found
+ * - response {Object}: the export result, as sent by runExport
+ * - canceled {boolean}: set when the user cancels
+ */
+let exportJob = null;
+// Ports of the open popups
+const exportJobPorts = [];
 
-    // Check for missing token
-    if (!data.token) {
-      handleMissingToken(sendResponse);
-      return;
-    }
+/**
+ * Handles the messages popups send on the export job port
+ * @param {Object} message - The message: "start" with the job options,
+ *   "confirm" to export an extraction with empty fields, or "cancel"
+ */
+function handleExportJobMessage(message) {
+  console.log("Export job message:", message.action);
 
-    // Validate token before proceeding
-    validateToken()
-      .then((validToken) => {
-        console.log("Token validated, proceeding with spreadsheet operations");
-
-        // Create new spreadsheet and save data
-        saveToGoogleSheets(
-          validToken,
-          null, // Always create a new spreadsheet
-          request.wishlistData,
-          request.wishlistName
-        )
-          .then((result) => {
-            console.log("Data saved to sheets successfully:", result);
-            sendResponse({
-              success: true,
-              spreadsheetId: result.spreadsheetId,
-              spreadsheetUrl: result.spreadsheetUrl,
-            });
-          })
-          .catch((error) => {
-            console.error("Google Sheets API error:", error);
-
-            // Check if this is an auth error requiring re-authentication
-            if (
-              error.message &&
-              (error.message.includes("401") ||
-                error.message.includes("auth") ||
-                error.message.includes("permission"))
-            ) {
-              // Clear token and request re-auth
-              handleAuthError(sendResponse);
-            } else {
-              // Handle other API errors
-              sendResponse({
-                success: false,
-                error: error.message || "Error saving to Google Sheets",
-              });
-            }
-          });
-      })
-      .catch((error) => {
-        // Token validation failed
-        console.error("Token validation failed:", error);
-        handleAuthError(sendResponse);
-      });
-  });
+  if (message.action === "start") {
+    startExportJob(message);
+  }
+
+  if (message.action === "confirm" && exportJob && exportJob.confirm) {
+    exportJob.confirm(true);
+  }
+
+  if (message.action === "cancel") {
+    cancelExportJob();
+  }
 }
 
 /**
- * Checks if wishlist data is valid
- * @param {Array} wishlistData - The wishlist data to validate
- * @returns {boolean} True if data is valid
+ * Starts an export job, unless one is already running
+ * @param {Object} options - The job options from the popup: exporter, kind,
+ *   tabId (the wishlist or overview tab), syncMode, deepExtract, and for a
+ *   wishlist the destination and sheetTitle chosen to write into
  */
-function isValidWishlistData(wishlistData) {
-  return wishlistData && Array.isArray(wishlistData) && wishlistData.length > 0;
+function startExportJob(options) {
+  if (exportJob && isExportJobActive(exportJob)) {
+    console.log("An export job is already running");
+    exportJobPorts.forEach(attachToExportJob);
+    return;
+  }
+
+  const job = {
+    id: Date.now(),
+    kind: options.kind,
+    state: "running",
+    startedAt: new Date().toISOString(),
+    progress: null,
+    tabId: options.tabId,
+    canceled: false,
+  };
+  exportJob = job;
+  saveExportJob(job);
+  console.log("Starting export job:", job.kind);
+
+  // A scheduled sync may be running: the job starts once it has finished
+  const exporter = exporters[options.exporter];
+  queueExport(() => {
+    throwIfCanceled(job);
+    return job.kind === "allWishlists"
+      ? runExportAllJob(job, exporter, options)
+      : runWishlistJob(job, exporter, options);
+  })
+    .then((response) => finishExportJob(job, { response: response }))
+    .catch((error) => {
+      console.error("Export job failed:", error);
+      finishExportJob(job, { error: error.message || "Unknown error" });
+    });
 }
 
 /**
- * Handles missing token scenario
- * @param {function} sendResponse - Function to send response back to caller
+ * Extracts the wishlist shown in the job's tab and exports it
+ * @param {Object} job - The export job
+ * @param {Object} exporter - The exporter to use (see registerExporter)
+ * @param {Object} options - The job options from the popup
+ * @returns {Promise<Object>} A promise with the export result
  */
-function handleMissingToken(sendResponse) {
-  console.error("Not authenticated with Google");
-  // Clear any potentially corrupted auth data
-  chrome.storage.local.clear(function () {
-    if (chrome.runtime.lastError) {
-      console.error("Error clearing storage:", chrome.runtime.lastError);
-    } else {
-      console.log("Storage cleared due to missing token");
-    }
+function runWishlistJob(job, exporter, options) {
+  if (!exporter) {
+    return Promise.reject(
+      new Error(`Unknown export destination: ${options.exporter}`)
+    );
+  }
 
-    // Inform the user they need to authenticate
-    sendResponse({
-      success: false,
-      error: "Authentication required. Please sign in with Google.",
-      needsAuth: true, // Flag to indicate auth is needed
+  return ensureContentScript(job.tabId)
+    .then(() => sendTabMessage(job.tabId, { action: "extractWishlistData" }))
+    .catch((error) => {
+      throw new Error("Error communicating with the page: " + error.message);
+    })
+    .then((response) => {
+      console.log("Received response from content script:", response);
+      throwIfCanceled(job);
+      checkJobExtraction(job, response);
+      return confirmJobExtraction(job, response).then(() => response);
+    })
+    .then((response) => {
+      reportJobProgress(job, {
+        action: "savingProgress",
+        found: response.data.length,
+        total: response.totalCount,
+      });
+      return new Promise((resolve) =>
+        runExport(exporter, resolve, (auth) =>
+          exportWishlist(
+            exporter,
+            auth,
+            {
+              wishlistData: response.data,
+              wishlistName: response.wishlistName,
+              wishlistId: response.wishlistId,
+              wishlistUrl: response.wishlistUrl,
+              partialExtraction: isPartialExtraction(response),
+              syncMode: options.syncMode,
+              deepExtract: options.deepExtract,
+              destination: options.destination,
+              sheetTitle: options.sheetTitle,
+            },
+            job
+          )
+        )
+      );
     });
-  });
 }
 
 /**
- * Handles authentication errors
- * @param {function} sendResponse - Function to send response back to caller
+ * Lists the wishlists on the overview page shown in the job's tab and
+ * exports all of them
+ * @param {Object} job - The export job
+ * @param {Object} exporter - The exporter to use (see registerExporter)
+ * @param {Object} options - The job options from the popup
+ * @returns {Promise<Object>} A promise with the export result
  */
-function handleAuthError(sendResponse) {
-  // Clear storage and request re-authentication
-  chrome.storage.local.clear(function () {
-    if (chrome.runtime.lastError) {
-      console.error("Error clearing storage:", chrome.runtime.lastError);
-    }
+function runExportAllJob(job, exporter, options) {
+  if (!exporter || !exporter.openWorkbook) {
+    return Promise.reject(
+      new Error(
+        `Exporting all wishlists is not supported for: ${options.exporter}`
+      )
+    );
+  }
 
-    sendResponse({
-      success: false,
-      error: "Authentication required. Please sign in with Google.",
-      needsAuth: true,
+  return ensureContentScript(job.tabId)
+    .then(() => sendTabMessage(job.tabId, { action: "listWishlists" }))
+    .catch((error) => {
+      throw new Error("Error communicating with the page: " + error.message);
+    })
+    .then((response) => {
+      if (!response || !response.wishlists || !response.wishlists.length) {
+        throw new Error("No wishlists found on this page.");
+      }
+
+      reportJobProgress(job, {
+        action: "wishlistsFound",
+        count: response.wishlists.length,
+      });
+
+      // Each wishlist is loaded in a background tab
+      return new Promise((resolve) =>
+        runExport(exporter, resolve, (auth) =>
+          exportAllWishlists(
+            exporter,
+            auth,
+            {
+              wishlists: response.wishlists,
+              deepExtract: options.deepExtract,
+            },
+            job
+          )
+        )
+      );
     });
-  });
 }
 
 /**
- * Initiates the OAuth2 authorization flow with Google
- * @returns {Promise<string>} A promise that resolves with the auth token
+ * Checks the content script response of a job's extraction and shows it in
+ * the health report
+ * @param {Object} job - The export job
+ * @param {Object} response - The content script response
  */
-function authorize() {
+function checkJobExtraction(job, response) {
+  if (!response) {
+    throw new Error("No response from the page. Please refresh and try again.");
+  }
+
+  job.extraction = response;
+  postExportJobEvent({ type: "extracted", extraction: response });
+
+  if (!response.success) {
+    throw new Error(
+      "Failed to extract data: " + (response.error || "Unknown error")
+    );
+  }
+  if (!isValidWishlistData(response.data)) {
+    throw new Error("No wishlist items found to extract.");
+  }
+
+  console.log(`Successfully extracted ${response.data.length} wishlist items`);
+}
+
+// How long a job waits for the user to accept an extraction with empty
+// fields, in milliseconds. Until then it blocks every other export.
+const EXPORT_CONFIRM_TIMEOUT = 2 * 60 * 1000;
+
+/**
+ * Waits for the user to accept an extraction where a required field is
+ * empty for every listing (see extraction-health.js). The job fails when
+ * nobody answers in time, e.g. because the popup was closed.
+ * @param {Object} job - The export job
+ * @param {Object} response - The content script response
+ * @returns {Promise<void>} A promise that resolves once the export may go
+ *   on, or rejects when the user cancels or does not answer
+ */
+function confirmJobExtraction(job, response) {
+  const emptyFields = findEmptyFields(computeFieldCoverage(response.data));
+  if (emptyFields.length === 0) {
+    return Promise.resolve();
+  }
+
+  // Airbnb probably changed its pages, so let the user decide
   return new Promise((resolve, reject) => {
-    console.log("Requesting auth token...");
-    chrome.identity.getAuthToken(
-      {
-        interactive: true,
-        scopes: ["https://www.googleapis.com/auth/spreadsheets"],
-      },
-      function (token) {
-        if (chrome.runtime.lastError) {
-          console.error("Auth Error:", chrome.runtime.lastError);
-          reject(
-            new Error(
-              chrome.runtime.lastError.message || "Authentication failed"
-            )
-          );
-        } else if (!token) {
-          console.error("Auth Error: No token returned");
-          reject(new Error("No authentication token returned"));
-        } else {
-          console.log("Auth Success, token received");
-          resolve(token);
-        }
+    job.state = "confirming";
+    job.emptyFields = emptyFields;
+    const timeout = setTimeout(() => {
+      console.log("Export job not confirmed in time");
+      job.confirm = null;
+      job.state = "running";
+      reject(
+        new Error(
+          "The export was stopped because the empty fields were not confirmed in time. Please try again."
+        )
+      );
+    }, EXPORT_CONFIRM_TIMEOUT);
+    job.confirm = (accepted) => {
+      clearTimeout(timeout);
+      job.confirm = null;
+      job.state = "running";
+      if (accepted) {
+        saveExportJob(job);
+        resolve();
+      } else {
+        reject(createCancelError());
       }
-    );
+    };
+    saveExportJob(job);
+    postExportJobEvent({ type: "confirm", emptyFields: emptyFields });
   });
 }
 
 /**
- * Handles API responses, checking for errors
- * @param {Response} response - The fetch API response
- * @returns {Promise<Object>} A promise that resolves with the JSON data
+ * Cancels the running export job. The job stops at its next step: before
+ * the next wishlist or room page is loaded, or before the rows are written.
  */
-function handleApiResponse(response) {
-  if (!response.ok) {
-    return response
-      .json()
-      .then((data) => {
-        const errorMessage =
-          data.error?.message ||
-          response.statusText ||
-          `HTTP Error ${response.status}`;
-        throw new Error(errorMessage);
-      })
-      .catch((error) => {
-        // If JSON parsing fails, throw the original HTTP error
-        if (error instanceof SyntaxError) {
-          throw new Error(
-            `HTTP Error ${response.status}: ${response.statusText}`
-          );
-        }
-        throw error;
-      });
+function cancelExportJob() {
+  if (!exportJob || !isExportJobActive(exportJob)) {
+    return;
+  }
+
+  console.log("Canceling export job");
+  exportJob.canceled = true;
+  if (exportJob.confirm) {
+    exportJob.confirm(false);
   }
-  return response.json();
 }
 
 /**
- * Creates a new Google Spreadsheet
- * @param {string} token - The OAuth token
- * @param {string} wishlistName - The name of the wishlist
- * @returns {Promise<Object>} A promise that resolves with the created spreadsheet data
- */
-function createSpreadsheet(token, wishlistName) {
-  console.log("Creating new spreadsheet for wishlist:", wishlistName);
-
-  const title =
-    "Airbnb Wishlist: " +
-    (wishlistName || "Untitled") +
-    " - " +
-    new Date().toLocaleDateString();
-
-  return fetch("https://sheets.googleapis.com/v4/spreadsheets", {
-    method: "POST",
-    headers: {
-      Authorization: "Bearer " + token,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({
-      properties: {
-        title: title,
-      },
-      sheets: [
-        {
-          properties: {
-            title: wishlistName || "Wishlist",
-            gridProperties: {
-              frozenRowCount: 1,
-            },
-          },
-        },
-      ],
-    }),
-  })
-    .then(handleApiResponse)
-    .then((data) => {
-      console.log("Spreadsheet created successfully:", data);
-      return data;
-    });
+ * Records the outcome of an export job, opens the exported spreadsheet and
+ * tells the popups
+ * @param {Object} job - The export job
+ * @param {Object} outcome - The export result as { response }, or { error }
+ *   if the job failed before exporting
+ */
+function finishExportJob(job, outcome) {
+  const response = outcome.response || null;
+  job.finishedAt = new Date().toISOString();
+  job.response = response;
+  job.error = outcome.error || null;
+  if (job.canceled) {
+    job.state = "canceled";
+  } else {
+    job.state = response && response.success ? "done" : "failed";
+  }
+  console.log(`Export job ${job.state}:`, outcome);
+
+  if (job.state === "done" && response.url) {
+    chrome.storage.local.set({ spreadsheetUrl: response.url });
+    chrome.tabs.create({ url: response.url });
+  }
+
+  // A popup that is open now shows the result, others show it when opened
+  job.reported = exportJobPorts.length > 0;
+  saveExportJob(job);
+  postExportJobEvent({ type: "finished", job: describeExportJob(job) });
 }
 
 /**
- * Saves wishlist data to Google Sheets
- * @param {string} token - The OAuth token
- * @param {string|null} existingSpreadsheetId - ID of existing spreadsheet (if any)
- * @param {Array} wishlistData - The wishlist data to save
- * @param {string} wishlistName - The name of the wishlist
- * @returns {Promise<Object>} A promise with the spreadsheet info
+ * Sends the state of the export job to a popup that just connected: the
+ * running job, or the last job if its result was not shown yet. A job that
+ * was still running when the service worker stopped is reported as failed.
+ * @param {Object} port - The port of the popup
  */
-function saveToGoogleSheets(
-  token,
-  existingSpreadsheetId,
-  wishlistData,
-  wishlistName
-) {
-  console.log("Processing data for Sheets API:", wishlistData.length, "items");
-
-  // Create header row
-  const headers = [
-    "Property Name",
-    "Rating",
-    "Date",
-    "Beds",
-    "Total Price",
-    "Link to listing",
-    "Comment",
-  ];
-
-  // Format data for Sheets API
-  const values = [headers];
-
-  // Add data rows
-  wishlistData.forEach((item) => {
-    values.push([
-      item.propertyName || "",
-      item.rating || "",
-      item.date || "",
-      item.beds || "",
-      item.totalPrice || "",
-      item.link || "",
-      item.comment || "",
-    ]);
-  });
+function attachToExportJob(port) {
+  if (exportJob) {
+    port.postMessage({
+      type: "attached",
+      job: describeExportJob(exportJob),
+      extraction: exportJob.extraction || null,
+    });
+    if (!isExportJobActive(exportJob) && !exportJob.reported) {
+      exportJob.reported = true;
+      saveExportJob(exportJob);
+    }
+    return;
+  }
 
-  // Always create a new spreadsheet
-  console.log("Creating new spreadsheet...");
-  return createSpreadsheet(token, wishlistName).then((spreadsheet) => {
-    const spreadsheetId = spreadsheet.spreadsheetId;
-    const spreadsheetUrl = `https://docs.google.com/spreadsheets/d/${spreadsheetId}`;
-    console.log("New spreadsheet created with ID:", spreadsheetId);
-
-    // Now update the newly created spreadsheet with our data
-    return updateSpreadsheet(token, spreadsheetId, values, wishlistName).then(
-      () => ({
-        spreadsheetId: spreadsheetId,
-        spreadsheetUrl: spreadsheetUrl,
-      })
-    );
+  chrome.storage.local.get(["lastExportJob"], function (data) {
+    const lastJob = data && data.lastExportJob;
+    if (chrome.runtime.lastError || !lastJob || lastJob.reported) {
+      return;
+    }
+
+    if (isExportJobActive(lastJob)) {
+      lastJob.state = "failed";
+      lastJob.error = "The last export was interrupted. Please try again.";
+    }
+    port.postMessage({ type: "attached", job: lastJob, extraction: null });
+
+    lastJob.reported = true;
+    chrome.storage.local.set({ lastExportJob: lastJob });
   });
 }
 
 /**
- * Updates a spreadsheet with data
- * @param {string} token - The OAuth token
- * @param {string} spreadsheetId - The ID of the spreadsheet to update
- * @param {Array} values - The data values to write
- * @param {string} sheetName - The name of the sheet to update
- * @returns {Promise<Object>} A promise with the update result
+ * Sends the progress of an export job to the popups. Exports run by a
+ * scheduled sync have no job and report nothing.
+ * @param {Object|null} job - The export job
+ * @param {Object} progress - The progress event, named by its action, e.g.
+ *   { action: "deepExtractProgress", current, total }
  */
-function updateSpreadsheet(token, spreadsheetId, values, sheetName) {
-  console.log(
-    "Updating spreadsheet:",
-    spreadsheetId,
-    "with",
-    values.length,
-    "rows"
-  );
+function reportJobProgress(job, progress) {
+  if (!job) {
+    return;
+  }
+  job.progress = progress;
+  postExportJobEvent({ type: "progress", progress: progress });
+}
 
-  // First check if the spreadsheet exists and get sheet information
-  return fetch(
-    `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}`,
-    {
-      method: "GET",
-      headers: {
-        Authorization: "Bearer " + token,
-        "Content-Type": "application/json",
-      },
-    }
-  )
-    .then(handleApiResponse)
-    .then((spreadsheetData) => {
-      // Find the sheet with the specified name
-      console.log("Retrieved spreadsheet data:", spreadsheetData);
-
-      // Find the first sheet or the sheet with the specified name
-      const sheet = spreadsheetData.sheets.find(
-        (s) =>
-          s.properties.title === sheetName ||
-          (sheetName === undefined && s.properties.index === 0)
-      );
+/**
+ * Sends an event to the popups following the export job
+ * @param {Object} event - The event, with its type
+ */
+function postExportJobEvent(event) {
+  exportJobPorts.forEach((port) => port.postMessage(event));
+}
 
-      if (!sheet) {
-        throw new Error(
-          `Sheet ${sheetName || "Sheet1"} not found in the spreadsheet`
-        );
+/**
+ * Stores the export job, so a popup opened after the service worker
+ * restarted still finds its result
+ * @param {Object} job - The export job
+ */
+function saveExportJob(job) {
+  chrome.storage.local.set(
+    { lastExportJob: describeExportJob(job) },
+    function () {
+      if (chrome.runtime.lastError) {
+        console.error("Error saving export job:", chrome.runtime.lastError);
       }
+    }
+  );
+}
 
-      // Use the sheet title for the API calls
-      const sheetTitle = sheet.properties.title;
-      console.log(`Found sheet: ${sheetTitle}`);
+/**
+ * Describes an export job for the popups and storage, leaving out the
+ * extracted listings
+ * @param {Object} job - The export job
+ * @returns {Object} The job's kind, state, progress and result
+ */
+function describeExportJob(job) {
+  return {
+    id: job.id,
+    kind: job.kind,
+    state: job.state,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt || null,
+    progress: job.progress,
+    emptyFields: job.state === "confirming" ? job.emptyFields : null,
+    error: job.error || null,
+    response: job.response || null,
+    reported: Boolean(job.reported),
+  };
+}
 
-      // Clear existing data first
-      return clearSpreadsheetData(token, spreadsheetId, sheetTitle).then(() => {
-        // Then update with new data
-        return updateSpreadsheetData(token, spreadsheetId, sheetTitle, values);
-      });
-    });
+/**
+ * Checks whether an export job is still running or waiting for the user
+ * @param {Object} job - The export job
+ * @returns {boolean} True if the job has not finished
+ */
+function isExportJobActive(job) {
+  return job.state === "running" || job.state === "confirming";
 }
 
 /**
- * Clears data from a spreadsheet
- * @param {string} token - The OAuth token
- * @param {string} spreadsheetId - The ID of the spreadsheet
- * @param {string} sheetTitle - The title of the sheet to clear
- * @returns {Promise<Object>} A promise with the clear result
+ * Stops an export when its job was canceled
+ * @param {Object|null} job - The export job, or null outside of a job
  */
-function clearSpreadsheetData(token, spreadsheetId, sheetTitle) {
-  console.log(`Clearing data from sheet: ${sheetTitle}`);
+function throwIfCanceled(job) {
+  if (job && job.canceled) {
+    throw createCancelError();
+  }
+}
 
-  return fetch(
-    `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values/${sheetTitle}!A1:Z1000:clear`,
-    {
-      method: "POST",
-      headers: {
-        Authorization: "Bearer " + token,
-        "Content-Type": "application/json",
-      },
-    }
-  )
-    .then(handleApiResponse)
-    .then((response) => {
-      console.log("Spreadsheet cleared successfully");
-      return response;
+/**
+ * Creates the error an export stops with when its job is canceled
+ * @returns {Error} The error, flagged with canceled = true
+ */
+function createCancelError() {
+  const error = new Error("Export canceled");
+  error.canceled = true;
+  return error;
+}
+
+/**
+ * Authenticates with an exporter, runs an export and sends its result,
+ * asking the user to sign in again on authentication errors
+ * @param {Object} exporter - The exporter to use (see registerExporter)
+ * @param {function} sendResponse - Function to send response back to caller
+ * @param {function} run - Called with the auth context; returns a promise with the export result
+ */
+function runExport(exporter, sendResponse, run) {
+  exporter
+    .authenticate()
+    .then((auth) => {
+      console.log(`Authenticated with ${exporter.label}, exporting`);
+
+      return run(auth)
+        .then((result) => {
+          console.log("Data exported successfully:", result);
+          sendResponse(Object.assign({ success: true }, result));
+        })
+        .catch((error) => {
+          console.error(`${exporter.label} export error:`, error);
+
+          // Check if this is an auth error requiring re-authentication
+          if (isAuthError(error)) {
+            handleAuthError(exporter, error, sendResponse);
+          } else {
+            // Handle other API errors
+            sendResponse({
+              success: false,
+              error: error.message || `Error exporting to ${exporter.label}`,
+            });
+          }
+        });
+    })
+    .catch((error) => {
+      console.error("Authentication failed:", error);
+      if (error.needsAuth) {
+        handleAuthError(exporter, error, sendResponse);
+      } else {
+        sendResponse({ success: false, error: error.message });
+      }
     });
 }
 
 /**
- * Updates spreadsheet with new data
- * @param {string} token - The OAuth token
- * @param {string} spreadsheetId - The ID of the spreadsheet
- * @param {string} sheetTitle - The title of the sheet to update
- * @param {Array} values - The data values to write
- * @returns {Promise<Object>} A promise with the update result
+ * Exports a wishlist with an exporter: adds room page details and price
+ * history, opens (or creates) the target, writes the rows and records the
+ * price snapshot
+ * @param {Object} exporter - The exporter to use (see registerExporter)
+ * @param {*} auth - The authentication context returned by exporter.authenticate
+ * @param {Object} request - The request object containing wishlist data
+ * @param {Object} [job] - The export job reporting progress, if any
+ * @returns {Promise<Object>} A promise with the target URL and export stats
  */
-function updateSpreadsheetData(token, spreadsheetId, sheetTitle, values) {
-  console.log(
-    `Updating sheet ${sheetTitle} with ${values.length} rows of data`
-  );
+function exportWishlist(exporter, auth, request, job) {
+  // Cached room details are always merged in; deep extract fetches missing ones
+  return Promise.all([
+    enrichWithRoomDetails(request.wishlistData, request.deepExtract, job),
+    loadExportSettings(),
+    loadParticipants(),
+  ]).then(([enriched, settings, participants]) => {
+    throwIfCanceled(job);
+    const columns = buildSheetColumns(settings, participants);
+    const options = {
+      wishlistId: request.wishlistId,
+      wishlistName: request.wishlistName,
+      syncMode: request.syncMode,
+      destination: request.destination,
+      sheetTitle: request.sheetTitle,
+      title: formatSpreadsheetTitle(
+        settings,
+        request.wishlistName,
+        enriched.items.length
+      ),
+      columns: columns,
+    };
 
-  return fetch(
-    `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values/${sheetTitle}!A1:G${values.length}?valueInputOption=USER_ENTERED`,
-    {
-      method: "PUT",
-      headers: {
-        Authorization: "Bearer " + token,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        values: values,
-      }),
+    return Promise.all([
+      exporter.openTarget(auth, options),
+      annotatePriceHistory(enriched.items),
+    ]).then(([target, history]) =>
+      exporter.writeRows(auth, target, history.items, options).then((written) =>
+        Promise.all([
+          savePriceSnapshot(history.snapshot),
+          exporter.writeHistory
+            ? exporter.writeHistory(auth, target, history.snapshot)
+            : null,
+          writeRanking(exporter, auth, target, columns, written),
+          request.syncMode ? trackWishlist(exporter, request) : null,
+          notifyListingChanges(
+            request.wishlistId,
+            request.wishlistName,
+            history.items,
+            request.partialExtraction
+          ),
+        ]).then(() => ({
+          exporter: exporter.id,
+          url: exporter.getTargetUrl(target),
+          synced: written.synced,
+          stats: written.stats,
+          deepExtract: enriched.summary,
+        }))
+      )
+    );
+  });
+}
+
+// Title of the tab combining the listings of every wishlist
+const ALL_LISTINGS_SHEET_TITLE = "All listings";
+
+/**
+ * Exports every wishlist of the account into one new workbook: loads each
+ * wishlist in a background tab, writes it to its own sheet and combines all
+ * listings in an "All listings" sheet. Wishlists that fail to load are skipped.
+ * @param {Object} exporter - The exporter to use (see registerExporter)
+ * @param {*} auth - The authentication context returned by exporter.authenticate
+ * @param {Object} request - The request object containing the wishlists ({ id, name, url })
+ * @param {Object} [job] - The export job reporting progress, if any
+ * @returns {Promise<Object>} A promise with the target URL and export stats
+ */
+function exportAllWishlists(exporter, auth, request, job) {
+  return extractWishlists(request.wishlists, job).then((extraction) => {
+    throwIfCanceled(job);
+    const wishlists = extraction.wishlists;
+    if (wishlists.length === 0) {
+      throw new Error("No listings could be extracted from any wishlist");
     }
-  )
-    .then(handleApiResponse)
-    .then((response) => {
-      console.log("Spreadsheet data updated successfully");
-      return response;
+
+    // Tag each listing with its wishlist for the "All listings" sheet
+    const allItems = [];
+    wishlists.forEach((wishlist) => {
+      wishlist.data.forEach((item) => {
+        allItems.push(Object.assign({}, item, { wishlistName: wishlist.name }));
+      });
     });
+
+    return Promise.all([
+      enrichWithRoomDetails(allItems, request.deepExtract, job),
+      loadExportSettings(),
+      loadParticipants(),
+    ]).then(([enriched, settings, participants]) => {
+      throwIfCanceled(job);
+      const columns = buildSheetColumns(settings, participants);
+      const allListingsColumns = [WISHLIST_COLUMN, ...columns];
+      return Promise.all([
+        exporter.openWorkbook(auth, {
+          title: formatSpreadsheetTitle(
+            settings,
+            "All wishlists",
+            allItems.length
+          ),
+          sheetTitles: [
+            ...wishlists.map((wishlist) => wishlist.name),
+            ALL_LISTINGS_SHEET_TITLE,
+          ],
+        }),
+        annotatePriceHistory(enriched.items),
+      ]).then(([targets, history]) => {
+        // Split the annotated listings back into their wishlists
+        let offset = 0;
+        const writeWishlists = wishlists.reduce((previous, wishlist, index) => {
+          const items = history.items.slice(
+            offset,
+            offset + wishlist.data.length
+          );
+          offset += wishlist.data.length;
+          // One wishlist after the other, as the alerts share their stored state
+          return previous
+            .then(() =>
+              exporter.writeRows(auth, targets[index], items, {
+                wishlistName: wishlist.name,
+                columns: columns,
+              })
+            )
+            .then(() =>
+              notifyListingChanges(
+                wishlist.id,
+                wishlist.name,
+                items,
+                wishlist.partial
+              )
+            );
+        }, Promise.resolve());
+
+        const allListingsTarget = targets[targets.length - 1];
+
+        // A listing saved in several wishlists is tracked once
+        const roomIds = new Set();
+        history.snapshot.entries = history.snapshot.entries.filter(
+          (entry) => !roomIds.has(entry.roomId) && roomIds.add(entry.roomId)
+        );
+
+        return writeWishlists
+          .then(() =>
+            exporter.writeRows(auth, allListingsTarget, history.items, {
+              wishlistName: ALL_LISTINGS_SHEET_TITLE,
+              columns: allListingsColumns,
+            })
+          )
+          .then((written) =>
+            Promise.all([
+              savePriceSnapshot(history.snapshot),
+              exporter.writeHistory
+                ? exporter.writeHistory(auth, targets[0], history.snapshot)
+                : null,
+              writeRanking(
+                exporter,
+                auth,
+                allListingsTarget,
+                allListingsColumns,
+                written
+              ),
+            ])
+          )
+          .then(() => ({
+            exporter: exporter.id,
+            url: exporter.getTargetUrl(targets[0]),
+            wishlistCount: wishlists.length,
+            listingCount: allItems.length,
+            skipped: extraction.skipped,
+            deepExtract: enriched.summary,
+          }));
+      });
+    });
+  });
+}
+
+/**
+ * Builds the columns of the wishlist sheets as set on the options page, with
+ * the vote columns of the participants
+ * @param {Object} settings - The export settings (see export-settings.js)
+ * @param {Array} participants - The participants' names
+ * @returns {Array} The columns
+ */
+function buildSheetColumns(settings, participants) {
+  return withVoteColumns(
+    applyColumnSettings(SHEET_COLUMNS, settings),
+    participants
+  );
+}
+
+/**
+ * Scores the written rows in the target's ranking, if the exporter has one
+ * @param {Object} exporter - The exporter to use (see registerExporter)
+ * @param {*} auth - The authentication context returned by exporter.authenticate
+ * @param {Object} target - The target the rows were written to
+ * @param {Array} columns - The columns written
+ * @param {Object} written - The result of exporter.writeRows
+ * @returns {Promise<void>} A promise that resolves once the ranking is written
+ */
+function writeRanking(exporter, auth, target, columns, written) {
+  if (!exporter.writeRanking) {
+    return Promise.resolve();
+  }
+
+  return loadScoringCriteria().then((criteria) =>
+    exporter.writeRanking(auth, target, {
+      criteria: criteria,
+      columns: columns,
+      headers: written.headers,
+      rowCount: written.rowCount,
+    })
+  );
+}
+
+// Time given to a loaded wishlist page to render its listing cards, in milliseconds
+const WISHLIST_PAGE_RENDER_DELAY = 3000;
+
+/**
+ * Loads each wishlist in a background tab, one at a time, and extracts its
+ * listings. Stops early when the export job is canceled.
+ * @param {Array} wishlists - The wishlists to extract ({ id, name, url })
+ * @param {Object} [job] - The export job reporting progress, if any
+ * @returns {Promise<Object>} A promise with the extracted wishlists ({ id,
+ *   name, data, partial }) and the names of the wishlists that could not be
+ *   extracted
+ */
+function extractWishlists(wishlists, job) {
+  const extracted = [];
+  const skipped = [];
+
+  return wishlists
+    .reduce(
+      (previous, wishlist, index) =>
+        previous.then(() => {
+          if (job && job.canceled) {
+            return;
+          }
+
+          reportJobProgress(job, {
+            action: "exportAllProgress",
+            current: index + 1,
+            total: wishlists.length,
+            wishlistName: wishlist.name,
+          });
+          return extractWishlistInTab(wishlist.url)
+            .then((response) => {
+              console.log(
+                `Extracted ${response.data.length} listings from wishlist:`,
+                wishlist.name
+              );
+              extracted.push({
+                id: response.wishlistId || wishlist.id,
+                name: wishlist.name || response.wishlistName,
+                data: response.data,
+                partial: isPartialExtraction(response),
+              });
+            })
+            .catch((error) => {
+              console.error(
+                `Error extracting wishlist ${wishlist.name}:`,
+                error
+              );
+              skipped.push(wishlist.name);
+            });
+        }),
+      Promise.resolve()
+    )
+    .then(() => ({ wishlists: extracted, skipped: skipped }));
+}
+
+/**
+ * Opens a wishlist in a background tab and runs the content script extraction
+ * @param {string} url - The URL of the wishlist
+ * @returns {Promise<Object>} A promise with the content script response
+ */
+function extractWishlistInTab(url) {
+  console.log("Extracting wishlist in background tab:", url);
+
+  return openTabAndWait(url).then((tabId) =>
+    delay(WISHLIST_PAGE_RENDER_DELAY)
+      .then(() => ensureContentScript(tabId))
+      .then(() => sendTabMessage(tabId, { action: "extractWishlistData" }))
+      .then((response) => {
+        if (!response || !response.success) {
+          throw new Error(
+            (response && response.error) || "No response from the wishlist page"
+          );
+        }
+        if (!isValidWishlistData(response.data)) {
+          throw new Error("No wishlist items found");
+        }
+        return response;
+      })
+      .finally(() => chrome.tabs.remove(tabId, () => chrome.runtime.lastError))
+  );
+}
+
+/**
+ * Injects the content script into a tab unless it already answers pings
+ * @param {number} tabId - The ID of the tab
+ * @returns {Promise<void>} A promise that resolves once the content script is ready
+ */
+function ensureContentScript(tabId) {
+  return sendTabMessage(tabId, { action: "ping" }).catch(() => {
+    console.log("Content script not ready, injecting it");
+    return new Promise((resolve, reject) => {
+      chrome.scripting.executeScript(
+        {
+          target: { tabId: tabId },
+          files: ["locales.js", "selectors.js", "content.js"],
+        },
+        function () {
+          if (chrome.runtime.lastError) {
+            reject(new Error(chrome.runtime.lastError.message));
+            return;
+          }
+          resolve();
+        }
+      );
+    });
+  });
+}
+
+/**
+ * Sends a message to the content script of a tab
+ * @param {number} tabId - The ID of the tab
+ * @param {Object} message - The message to send
+ * @returns {Promise<*>} A promise with the response of the content script
+ */
+function sendTabMessage(tabId, message) {
+  return new Promise((resolve, reject) => {
+    chrome.tabs.sendMessage(tabId, message, function (response) {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve(response);
+    });
+  });
+}
+
+/**
+ * Remembers a wishlist synced to a spreadsheet, so it can be re-synced on a
+ * schedule (see sync-schedule.js)
+ * @param {Object} exporter - The exporter the wishlist was exported with
+ * @param {Object} request - The export request with the wishlist ID, name and URL
+ * @returns {Promise<void>} A promise that resolves once the wishlist is stored
+ */
+function trackWishlist(exporter, request) {
+  if (!request.wishlistId) {
+    return Promise.resolve();
+  }
+
+  return loadTrackedWishlists().then(
+    (tracked) =>
+      new Promise((resolve) => {
+        const previous = tracked[request.wishlistId] || {};
+        tracked[request.wishlistId] = {
+          name: request.wishlistName || previous.name || "",
+          // Wishlists exported before the URL was sent use the main domain
+          url:
+            request.wishlistUrl ||
+            previous.url ||
+            `https://www.airbnb.com/wishlists/${request.wishlistId}`,
+          exporter: exporter.id,
+          lastExportedAt: new Date().toISOString(),
+        };
+
+        chrome.storage.local.set({ trackedWishlists: tracked }, function () {
+          if (chrome.runtime.lastError) {
+            // The export itself succeeded, so only log the failure
+            console.error(
+              "Error saving tracked wishlist:",
+              chrome.runtime.lastError
+            );
+          }
+          resolve();
+        });
+      })
+  );
+}
+
+/**
+ * Creates an alarm for each scheduled wishlist and clears the alarms of
+ * wishlists that are no longer scheduled. Alarms whose interval did not
+ * change are kept, so their next run stays the same.
+ * @returns {Promise<void>} A promise that resolves once the alarms are updated
+ */
+function scheduleSyncAlarms() {
+  return Promise.all([
+    loadSyncSchedules(),
+    new Promise((resolve) => chrome.alarms.getAll(resolve)),
+  ]).then(([schedules, alarms]) => {
+    const periods = {};
+    alarms
+      .filter((alarm) => alarm.name.startsWith(SYNC_ALARM_PREFIX))
+      .forEach((alarm) => {
+        periods[alarm.name] = alarm.periodInMinutes;
+      });
+
+    Object.keys(periods).forEach((name) => {
+      const hours = schedules[name.substring(SYNC_ALARM_PREFIX.length)];
+      if (!hours || periods[name] !== hours * 60) {
+        console.log("Clearing sync alarm:", name);
+        chrome.alarms.clear(name);
+      }
+    });
+
+    Object.keys(schedules).forEach((wishlistId) => {
+      const name = SYNC_ALARM_PREFIX + wishlistId;
+      const minutes = schedules[wishlistId] * 60;
+      if (minutes > 0 && periods[name] !== minutes) {
+        console.log(`Scheduling sync every ${minutes} minutes:`, name);
+        chrome.alarms.create(name, {
+          delayInMinutes: minutes,
+          periodInMinutes: minutes,
+        });
+      }
+    });
+  });
+}
+
+/**
+ * Queues the scheduled sync of a wishlist behind any running export
+ * @param {string} wishlistId - The Airbnb wishlist ID
+ * @returns {Promise<void>} A promise that resolves once the sync has run
+ */
+function runScheduledSync(wishlistId) {
+  return queueExport(() => syncTrackedWishlist(wishlistId));
+}
+
+/**
+ * Re-syncs a tracked wishlist without the popup: opens it in a background
+ * tab, extracts the listings, syncs them into the linked spreadsheet and
+ * records the result in the sync log
+ * @param {string} wishlistId - The Airbnb wishlist ID
+ * @returns {Promise<void>} A promise that resolves once the run is logged
+ */
+function syncTrackedWishlist(wishlistId) {
+  return loadTrackedWishlists().then((tracked) => {
+    const wishlist = tracked[wishlistId];
+    if (!wishlist) {
+      console.log("Scheduled wishlist is not tracked anymore:", wishlistId);
+      chrome.alarms.clear(SYNC_ALARM_PREFIX + wishlistId);
+      return;
+    }
+
+    console.log("Running scheduled sync of wishlist:", wishlist.name);
+    const exporter = exporters[wishlist.exporter];
+    const run = {
+      wishlistId: wishlistId,
+      wishlistName: wishlist.name,
+      startedAt: new Date().toISOString(),
+    };
+
+    return Promise.resolve()
+      .then(() => {
+        if (!exporter) {
+          throw new Error(`Unknown export destination: ${wishlist.exporter}`);
+        }
+        return exporter.authenticate();
+      })
+      .then((auth) =>
+        extractWishlistInTab(wishlist.url).then((response) =>
+          exportWishlist(exporter, auth, {
+            wishlistData: response.data,
+            wishlistId: wishlistId,
+            wishlistName: wishlist.name,
+            wishlistUrl: wishlist.url,
+            partialExtraction: isPartialExtraction(response),
+            syncMode: true,
+            deepExtract: false,
+          })
+        )
+      )
+      .then((result) => {
+        console.log("Scheduled sync finished:", result);
+        run.success = true;
+        run.stats = result.stats;
+        run.url = result.url;
+      })
+      .catch((error) => {
+        console.error("Scheduled sync failed:", error);
+        run.success = false;
+        run.error = error.message || "Unknown error";
+
+        // Nobody is there to sign in, so ask for it in the popup next time
+        if (exporter && isAuthError(error)) {
+          run.error = `Sign in with ${exporter.label} again from the extension popup.`;
+          return exporter.resetAuthentication();
+        }
+      })
+      .then(() => {
+        run.finishedAt = new Date().toISOString();
+        return recordSyncRun(run);
+      });
+  });
+}
+
+/**
+ * Adds a run to the sync log, keeping the most recent runs
+ * @param {Object} run - The wishlist, start and end times and result of the run
+ * @returns {Promise<void>} A promise that resolves once the log is stored
+ */
+function recordSyncRun(run) {
+  return loadSyncRunLog().then(
+    (runLog) =>
+      new Promise((resolve) => {
+        const syncRunLog = [run, ...runLog].slice(0, SYNC_RUN_LOG_LIMIT);
+        chrome.storage.local.set({ syncRunLog: syncRunLog }, function () {
+          if (chrome.runtime.lastError) {
+            console.error("Error saving sync log:", chrome.runtime.lastError);
+          }
+          resolve();
+        });
+      })
+  );
+}
+
+// Prefix of the alert notification IDs, followed by "|<unique part>|<link>"
+const ALERT_NOTIFICATION_PREFIX = "listing-alert";
+
+// Number of alerts shown one by one after an export; more are summed up
+const ALERT_NOTIFICATION_LIMIT = 5;
+
+/**
+ * Shows desktop notifications for the listing changes since the previous
+ * export of a wishlist (see price-alerts.js) and remembers this export
+ * @param {string} wishlistId - The Airbnb wishlist ID
+ * @param {string} wishlistName - The name of the wishlist
+ * @param {Array} wishlistData - The listings
+ * @param {boolean} [isPartial] - Whether the extraction may have missed
+ *   listings (see isPartialExtraction)
+ * @returns {Promise<void>} A promise that resolves once the state is stored
+ */
+function notifyListingChanges(
+  wishlistId,
+  wishlistName,
+  wishlistData,
+  isPartial
+) {
+  if (!wishlistId) {
+    return Promise.resolve();
+  }
+
+  return Promise.all([
+    loadAlertSettings(),
+    new Promise((resolve) =>
+      chrome.storage.local.get(["listingAlertState"], (data) =>
+        resolve((data && data.listingAlertState) || {})
+      )
+    ),
+  ]).then(([settings, listingAlertState]) => {
+    const previousState = listingAlertState[wishlistId] || null;
+    const alerts = findListingAlerts(
+      wishlistData,
+      previousState,
+      settings,
+      isPartial
+    );
+    console.log(`Found ${alerts.length} alerts for wishlist:`, wishlistName);
+    showAlertNotifications(alerts, wishlistName);
+
+    // Listings a partial extraction missed are remembered as they were
+    listingAlertState[wishlistId] = Object.assign(
+      {},
+      isPartial ? previousState : null,
+      buildListingAlertState(wishlistData)
+    );
+    return new Promise((resolve) => {
+      chrome.storage.local.set(
+        { listingAlertState: listingAlertState },
+        function () {
+          if (chrome.runtime.lastError) {
+            console.error(
+              "Error saving alert state:",
+              chrome.runtime.lastError
+            );
+          }
+          resolve();
+        }
+      );
+    });
+  });
+}
+
+/**
+ * Shows a notification per alert, and one summing up the rest when there
+ * are more than ALERT_NOTIFICATION_LIMIT
+ * @param {Array} alerts - The alerts found by findListingAlerts
+ * @param {string} wishlistName - The name of the wishlist
+ */
+function showAlertNotifications(alerts, wishlistName) {
+  const shown =
+    alerts.length > ALERT_NOTIFICATION_LIMIT
+      ? alerts.slice(0, ALERT_NOTIFICATION_LIMIT - 1)
+      : alerts;
+  const timestamp = Date.now();
+
+  shown.forEach((alert, index) => {
+    createNotification(
+      `${ALERT_NOTIFICATION_PREFIX}|${timestamp}-${index}|${alert.link || ""}`,
+      alert.title,
+      alert.message
+    );
+  });
+
+  if (shown.length < alerts.length) {
+    createNotification(
+      `${ALERT_NOTIFICATION_PREFIX}|${timestamp}-more|`,
+      `${alerts.length - shown.length} more changes`,
+      `More listings changed in ${wishlistName}. Open the spreadsheet for details.`
+    );
+  }
+}
+
+/**
+ * Shows a desktop notification
+ * @param {string} notificationId - The ID of the notification
+ * @param {string} title - The title
+ * @param {string} message - The message
+ */
+function createNotification(notificationId, title, message) {
+  chrome.notifications.create(
+    notificationId,
+    {
+      type: "basic",
+      iconUrl: "images/icon128.png",
+      title: title,
+      message: message,
+    },
+    function () {
+      if (chrome.runtime.lastError) {
+        console.error("Error showing notification:", chrome.runtime.lastError);
+      }
+    }
+  );
+}
+
+// Maximum number of price snapshots kept per listing in local storage
+const PRICE_HISTORY_LIMIT = 200;
+
+/**
+ * Adds previous price, lowest seen price and change % to each listing based on
+ * the price history in local storage, and prepares the snapshot for this run
+ * @param {Array} wishlistData - The wishlist data to annotate
+ * @returns {Promise<Object>} A promise with the annotated items and the new snapshot
+ */
+function annotatePriceHistory(wishlistData) {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(["priceHistory"], function (data) {
+      if (chrome.runtime.lastError) {
+        console.error("Storage error:", chrome.runtime.lastError);
+      }
+
+      const priceHistory = (data && data.priceHistory) || {};
+      const timestamp = new Date().toISOString();
+      const snapshot = { timestamp: timestamp, entries: [] };
+
+      const items = wishlistData.map((item) => {
+        const roomId = getItemRoomId(item);
+        const price = getTrackedPrice(item);
+        if (!roomId || price === null) {
+          return item;
+        }
+
+        const history = priceHistory[roomId] || [];
+        const previous = history.length
+          ? history[history.length - 1].price
+          : null;
+        const lowest = Math.min(price, ...history.map((entry) => entry.price));
+
+        snapshot.entries.push({
+          roomId: roomId,
+          propertyName: item.propertyName || "",
+          price: price,
+          priceText: item.priceText || "",
+        });
+
+        return Object.assign({}, item, {
+          previousPrice: previous,
+          lowestPrice: lowest,
+          priceChange: previous
+            ? Math.round(((price - previous) / previous) * 1000) / 10
+            : null,
+        });
+      });
+
+      resolve({ items: items, snapshot: snapshot });
+    });
+  });
+}
+
+/**
+ * Stores a price snapshot in local storage
+ * @param {Object} snapshot - The snapshot prepared by annotatePriceHistory
+ * @returns {Promise<void>} A promise that resolves once the snapshot is stored
+ */
+function savePriceSnapshot(snapshot) {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(["priceHistory"], function (data) {
+      const priceHistory = data.priceHistory || {};
+
+      snapshot.entries.forEach((entry) => {
+        const history = priceHistory[entry.roomId] || [];
+        history.push({ timestamp: snapshot.timestamp, price: entry.price });
+        priceHistory[entry.roomId] = history.slice(-PRICE_HISTORY_LIMIT);
+      });
+
+      chrome.storage.local.set({ priceHistory: priceHistory }, function () {
+        if (chrome.runtime.lastError) {
+          console.error(
+            "Error saving price history:",
+            chrome.runtime.lastError
+          );
+        }
+        resolve();
+      });
+    });
+  });
+}
+
+/**
+ * Gets the price tracked in the price history for a listing
+ * @param {Object} item - A listing extracted by the content script
+ * @returns {number|null} The total price, else the nightly price, else null
+ */
+function getTrackedPrice(item) {
+  if (typeof item.totalPrice === "number") {
+    return item.totalPrice;
+  }
+  return typeof item.nightlyPrice === "number" ? item.nightlyPrice : null;
+}
+
+// Delay between two room page visits during a deep extract, in milliseconds
+const ROOM_DETAILS_DELAY = 4000;
+// Time allowed for a page opened in a background tab to load, in milliseconds
+const PAGE_LOAD_TIMEOUT = 30000;
+// Time given to a loaded room page to render its sections, in milliseconds
+const ROOM_PAGE_RENDER_DELAY = 2500;
+// Age after which cached room details are fetched again, in milliseconds
+const ROOM_DETAILS_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Adds details from the /rooms/ pages (amenities, host, policies...) to each
+ * listing. Details are cached per room ID as soon as they are fetched, so an
+ * interrupted deep extract continues where it stopped on the next run.
+ * @param {Array} wishlistData - The wishlist data to enrich
+ * @param {boolean} fetchMissing - Whether to visit room pages without fresh cached details
+ * @param {Object} [job] - The export job reporting progress, if any; the
+ *   visits stop when it is canceled
+ * @returns {Promise<Object>} A promise with the enriched items and a summary
+ *   of fetched, cached and remaining listings
+ */
+function enrichWithRoomDetails(wishlistData, fetchMissing, job) {
+  return getStoredRoomDetails().then((roomDetails) => {
+    const now = Date.now();
+    const summary = { fetched: 0, cached: 0, remaining: 0, stopped: false };
+
+    const queue = wishlistData.filter((item) => {
+      const cached = roomDetails[getItemRoomId(item)];
+      const isFresh =
+        cached && now - Date.parse(cached.fetchedAt) < ROOM_DETAILS_MAX_AGE;
+      if (isFresh) {
+        summary.cached++;
+      }
+      return fetchMissing && !isFresh && getItemRoomId(item) && item.link;
+    });
+    summary.remaining = queue.length;
+
+    // Visit the room pages one at a time with a pause in between
+    const processQueue = queue.reduce(
+      (previous, item, index) =>
+        previous.then(() => {
+          if (summary.stopped || (job && job.canceled)) {
+            return;
+          }
+
+          reportJobProgress(job, {
+            action: "deepExtractProgress",
+            current: index + 1,
+            total: queue.length,
+          });
+          return fetchRoomDetails(item.link)
+            .then((details) => {
+              if (details.blocked) {
+                // Airbnb is rate limiting us; keep what we have for the next run
+                console.warn("Room page blocked, stopping deep extract");
+                summary.stopped = true;
+                return;
+              }
+
+              roomDetails[getItemRoomId(item)] = {
+                details: details,
+                fetchedAt: new Date().toISOString(),
+              };
+              summary.fetched++;
+              summary.remaining--;
+              return storeRoomDetails(roomDetails);
+            })
+            .catch((error) => {
+              console.error("Error fetching room details:", error);
+            })
+            .then(() => delay(ROOM_DETAILS_DELAY));
+        }),
+      Promise.resolve()
+    );
+
+    return processQueue.then(() => ({
+      items: wishlistData.map((item) => {
+        const cached = roomDetails[getItemRoomId(item)];
+        return cached ? Object.assign({}, item, cached.details) : item;
+      }),
+      summary: summary,
+    }));
+  });
+}
+
+/**
+ * Loads the cached room details from local storage
+ * @returns {Promise<Object>} A promise with the cached details keyed by room ID
+ */
+function getStoredRoomDetails() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(["roomDetails"], function (data) {
+      if (chrome.runtime.lastError) {
+        console.error("Storage error:", chrome.runtime.lastError);
+      }
+      resolve((data && data.roomDetails) || {});
+    });
+  });
+}
+
+/**
+ * Saves the cached room details to local storage
+ * @param {Object} roomDetails - The cached details keyed by room ID
+ * @returns {Promise<void>} A promise that resolves once the details are stored
+ */
+function storeRoomDetails(roomDetails) {
+  return new Promise((resolve) => {
+    chrome.storage.local.set({ roomDetails: roomDetails }, function () {
+      if (chrome.runtime.lastError) {
+        console.error("Error saving room details:", chrome.runtime.lastError);
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Visits a room page in a background tab and scrapes its details
+ * @param {string} url - The link to the listing
+ * @returns {Promise<Object>} A promise with the scraped details
+ */
+function fetchRoomDetails(url) {
+  console.log("Fetching room details:", url);
+
+  return openTabAndWait(url).then((tabId) =>
+    delay(ROOM_PAGE_RENDER_DELAY)
+      .then(
+        () =>
+          new Promise((resolve, reject) => {
+            chrome.scripting.executeScript(
+              {
+                target: { tabId: tabId },
+                func: scrapeRoomDetails,
+                args: [getRoomPageWords()],
+              },
+              function (results) {
+                if (chrome.runtime.lastError) {
+                  reject(new Error(chrome.runtime.lastError.message));
+                  return;
+                }
+                resolve((results && results[0] && results[0].result) || {});
+              }
+            );
+          })
+      )
+      .finally(() => chrome.tabs.remove(tabId, () => chrome.runtime.lastError))
+  );
+}
+
+/**
+ * Opens a URL in an inactive tab and waits until it has finished loading
+ * @param {string} url - The URL to open
+ * @returns {Promise<number>} A promise with the ID of the loaded tab
+ */
+function openTabAndWait(url) {
+  return new Promise((resolve, reject) => {
+    chrome.tabs.create({ url: url, active: false }, function (tab) {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+
+      const timeout = setTimeout(() => {
+        chrome.tabs.onUpdated.removeListener(onUpdated);
+        chrome.tabs.remove(tab.id, () => chrome.runtime.lastError);
+        reject(new Error(`Timed out loading ${url}`));
+      }, PAGE_LOAD_TIMEOUT);
+
+      function onUpdated(tabId, changeInfo) {
+        if (tabId === tab.id && changeInfo.status === "complete") {
+          clearTimeout(timeout);
+          chrome.tabs.onUpdated.removeListener(onUpdated);
+          resolve(tab.id);
+        }
+      }
+      chrome.tabs.onUpdated.addListener(onUpdated);
+    });
+  });
+}
+
+/**
+ * Waits for the given time
+ * @param {number} milliseconds - The time to wait
+ * @returns {Promise<void>} A promise that resolves after the wait
+ */
+function delay(milliseconds) {
+  return new Promise((resolve) => setTimeout(resolve, milliseconds));
+}
+
+/**
+ * Collects the labels scrapeRoomDetails looks for, in every supported language
+ * @returns {Object} Regular expression fragments keyed by label
+ */
+function getRoomPageWords() {
+  return {
+    hostedBy: localeWords("hostedBy"),
+    reviews: localeWords("reviews"),
+    cancellationPolicy: localeWords("cancellationPolicy"),
+    showAll: localeWords("showAll"),
+    superhost: localeWords("superhost"),
+    checkIn: localeWords("checkIn"),
+  };
+}
+
+/**
+ * Scrapes listing details from a room page. Runs inside the page via
+ * chrome.scripting, so it must not use anything outside its own body.
+ * @param {Object} words - The labels to look for (see getRoomPageWords)
+ * @returns {Object} The scraped details, or { blocked: true } if Airbnb
+ *   showed something other than the room page
+ */
+function scrapeRoomDetails(words) {
+  if (
+    !/\/rooms\//.test(window.location.pathname) ||
+    !document.querySelector("h1")
+  ) {
+    return { blocked: true };
+  }
+
+  const sectionText = (sectionId) => {
+    const section = document.querySelector(`[data-section-id^="${sectionId}"]`);
+    return section ? section.innerText : "";
+  };
+  const pageText = document.body.innerText;
+
+  // Amenities listed under "What this place offers"
+  const amenities = [];
+  const showAllPattern = new RegExp(words.showAll, "i");
+  const amenitiesSection = document.querySelector(
+    '[data-section-id^="AMENITIES"]'
+  );
+  if (amenitiesSection) {
+    amenitiesSection.querySelectorAll("div").forEach((el) => {
+      const text = el.textContent.trim();
+      if (
+        el.children.length === 0 &&
+        text &&
+        text.length < 60 &&
+        !amenities.includes(text) &&
+        !showAllPattern.test(text)
+      ) {
+        amenities.push(text);
+      }
+    });
+  }
+
+  const hostText =
+    sectionText("HOST_OVERVIEW") || sectionText("MEET_YOUR_HOST");
+  const hostMatch = hostText.match(
+    new RegExp(`${words.hostedBy}\\s+([^\\n·]+)`, "i")
+  );
+
+  const reviewsText = sectionText("REVIEWS") || pageText;
+  const reviewsMatch = reviewsText.match(
+    new RegExp(`(\\d(?:[\\d.,\\s]*\\d)?)\\s+${words.reviews}`, "i")
+  );
+
+  const policiesText = sectionText("POLICIES") || pageText;
+  const cancellationMatch = policiesText.match(
+    new RegExp(`${words.cancellationPolicy}\\s*\\n+([^\\n]+)`, "i")
+  );
+  const checkInMatch = policiesText.match(
+    new RegExp(
+      `${words.checkIn}:?\\s*([^\\n]*\\d{1,2}(?::\\d{2})?[^\\n]*)`,
+      "i"
+    )
+  );
+
+  const locationSection = document.querySelector(
+    '[data-section-id^="LOCATION"]'
+  );
+  const neighborhoodElement =
+    locationSection && locationSection.querySelector("h3, h2 + div");
+
+  return {
+    amenities: amenities,
+    hostName: hostMatch ? hostMatch[1].trim() : "",
+    isSuperhost: new RegExp(words.superhost, "i").test(hostText || pageText),
+    cancellationPolicy: cancellationMatch ? cancellationMatch[1].trim() : "",
+    reviewCount: reviewsMatch
+      ? parseInt(reviewsMatch[1].replace(/\D/g, ""), 10)
+      : null,
+    checkInTime: checkInMatch ? checkInMatch[1].trim() : "",
+    neighborhood: neighborhoodElement
+      ? neighborhoodElement.textContent.trim()
+      : "",
+  };
+}
+
+/**
+ * Checks if wishlist data is valid
+ * @param {Array} wishlistData - The wishlist data to validate
+ * @returns {boolean} True if data is valid
+ */
+function isValidWishlistData(wishlistData) {
+  return wishlistData && Array.isArray(wishlistData) && wishlistData.length > 0;
+}
+
+/**
+ * Checks if an error means the user has to authenticate again
+ * @param {Error} error - The error to check
+ * @returns {boolean} True if re-authentication is needed
+ */
+function isAuthError(error) {
+  return Boolean(
+    error.needsAuth ||
+      error.status === 401 ||
+      (error.message &&
+        (error.message.includes("401") ||
+          error.message.includes("auth") ||
+          error.message.includes("permission")))
+  );
+}
+
+/**
+ * Handles authentication errors
+ * @param {Object} exporter - The exporter that failed to authenticate
+ * @param {Error} error - The authentication error
+ * @param {function} sendResponse - Function to send response back to caller
+ */
+function handleAuthError(exporter, error, sendResponse) {
+  // Forget the invalid credentials and request re-authentication
+  exporter.resetAuthentication().then(() => {
+    sendResponse({
+      success: false,
+      error: error.needsAuth
+        ? error.message
+        : `Authentication required. Please sign in with ${exporter.label}.`,
+      needsAuth: true, // Flag to indicate auth is needed
+    });
+  });
+}
+
+/**
+ * Initiates the OAuth2 authorization flow with Google
+ * @returns {Promise<string>} A promise that resolves with the auth token
+ */
+function authorize() {
+  return new Promise((resolve, reject) => {
+    console.log("Requesting auth token...");
+    chrome.identity.getAuthToken(
+      {
+        interactive: true,
+        scopes: ["https://www.googleapis.com/auth/spreadsheets"],
+      },
+      function (token) {
+        if (chrome.runtime.lastError) {
+          console.error("Auth Error:", chrome.runtime.lastError);
+          reject(
+            new Error(
+              chrome.runtime.lastError.message || "Authentication failed"
+            )
+          );
+        } else if (!token) {
+          console.error("Auth Error: No token returned");
+          reject(new Error("No authentication token returned"));
+        } else {
+          console.log("Auth Success, token received");
+          resolve(token);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Gets the Airbnb room ID of a listing
+ * @param {Object} item - A listing extracted by the content script
+ * @returns {string} The room ID, or an empty string if unknown
+ */
+function getItemRoomId(item) {
+  return item.roomId || getRoomIdFromLink(item.link);
+}
+
+/**
+ * Extracts the Airbnb room ID from a listing link
+ * @param {string} link - The link to the listing
+ * @returns {string} The room ID, or an empty string if the link has none
+ */
+function getRoomIdFromLink(link) {
+  const roomMatch = String(link || "").match(/\/rooms\/(\d+)/);
+  return roomMatch ? roomMatch[1] : "";
 }
@@ -0,0 +1,244 @@
+/**
+ * Airbnb Wishlist to Google Sheets Extension
+ * Column Definitions (columns.js)
+ *
+ * This script defines the columns of the exported wishlist table. It is shared by
+ * background.js (Google Sheets) and popup.js (file downloads) so every export uses
+ * the same headers.
+ */
+
+/**
+ * Columns written to the wishlist sheet, in order.
+ * Rows are matched by header name when syncing, so headers must stay unique.
+ * The optional "format" names the number format of the column in Google
+ * Sheets, "linkTo" the header of the column whose URL the value links to, and
+ * "imageFrom" the header of the column whose first URL is shown as an image.
+ * Columns with "keep" are filled in by hand: syncing keeps the values already
+ * in the sheet (matched by room ID) instead of overwriting them, and "tallyOf"
+ * lists the headers whose "yes" votes the column counts with a formula.
+ * Columns with "required" are needed to sync and cannot be turned off on the
+ * options page (see export-settings.js), where columns can also be reordered
+ * and renamed.
+ */
+const SHEET_COLUMNS = [
+  {
+    header: "Photo",
+    value: (item) => item.photoUrl || "",
+    imageFrom: "Photo URLs",
+  },
+  {
+    header: "Property Name",
+    value: (item) => item.propertyName || "",
+    linkTo: "Link to listing",
+  },
+  {
+    header: "Rating",
+    value: (item) => parseRating(item.rating),
+    format: "rating",
+  },
+  { header: "Check-in", value: (item) => item.checkIn || "", format: "date" },
+  { header: "Check-out", value: (item) => item.checkOut || "", format: "date" },
+  { header: "Nights", value: (item) => item.nights || "", format: "number" },
+  {
+    header: "Bedrooms",
+    value: (item) => item.bedrooms ?? "",
+    format: "number",
+  },
+  { header: "Beds", value: (item) => item.beds ?? "", format: "number" },
+  { header: "Bathrooms", value: (item) => item.bathrooms ?? "" },
+  { header: "Guests", value: (item) => item.guests ?? "", format: "number" },
+  {
+    header: "Total Price",
+    value: (item) => item.totalPrice ?? "",
+    format: "currency",
+  },
+  {
+    header: "Price per Night",
+    value: (item) => item.nightlyPrice ?? "",
+    format: "currency",
+  },
+  {
+    header: "Original Price",
+    value: (item) => item.originalPrice ?? "",
+    format: "currency",
+  },
+  { header: "Currency", value: (item) => item.currency || "" },
+  {
+    header: "Previous Price",
+    value: (item) => item.previousPrice ?? "",
+    format: "currency",
+  },
+  {
+    header: "Lowest Seen",
+    value: (item) => item.lowestPrice ?? "",
+    format: "currency",
+  },
+  {
+    header: "Change %",
+    value: (item) => item.priceChange ?? "",
+    format: "percent",
+  },
+  { header: "Link to listing", value: (item) => item.link || "" },
+  // Room IDs are too long for spreadsheet numbers, so they are kept as text
+  {
+    header: "Room ID",
+    value: (item) => item.roomId || "",
+    format: "text",
+    required: true,
+  },
+  {
+    header: "Photo URLs",
+    value: (item) => (item.photoUrls || []).join("\n"),
+  },
+  { header: "Comment", value: (item) => item.comment || "" },
+  {
+    header: "Amenities",
+    value: (item) => (item.amenities || []).join(", "),
+  },
+  { header: "Host", value: (item) => item.hostName || "" },
+  {
+    header: "Superhost",
+    value: (item) =>
+      item.isSuperhost === undefined ? "" : item.isSuperhost ? "Yes" : "No",
+  },
+  {
+    header: "Cancellation Policy",
+    value: (item) => item.cancellationPolicy || "",
+  },
+  {
+    header: "Reviews",
+    value: (item) => item.reviewCount ?? "",
+    format: "number",
+  },
+  { header: "Check-in Time", value: (item) => item.checkInTime || "" },
+  { header: "Neighborhood", value: (item) => item.neighborhood || "" },
+  { header: "Status", value: () => "Active", required: true },
+];
+
+// Column naming the wishlist a listing belongs to, used when several wishlists
+// share one table (the "All listings" tab of an export of every wishlist)
+const WISHLIST_COLUMN = {
+  header: "Wishlist",
+  value: (item) => item.wishlistName || "",
+};
+
+// Prefix of the vote column of each participant, e.g. "Vote: Alice"
+const VOTE_HEADER_PREFIX = "Vote: ";
+
+// Header of the column counting the "yes" votes of a listing
+const TALLY_HEADER = "Yes Votes";
+
+/**
+ * Adds a vote column per participant and a tally column after the comment,
+ * or at the end if there is no comment column
+ * @param {Array} columns - The columns to extend
+ * @param {Array} participants - The participants' names
+ * @returns {Array} The columns with the voting columns, unchanged without participants
+ */
+function withVoteColumns(columns, participants) {
+  if (participants.length === 0) {
+    return columns;
+  }
+
+  const voteColumns = participants.map((name) => ({
+    header: VOTE_HEADER_PREFIX + name,
+    value: () => "",
+    keep: true,
+  }));
+  voteColumns.push({
+    header: TALLY_HEADER,
+    value: () => "",
+    tallyOf: voteColumns.map((column) => column.header),
+    format: "number",
+  });
+
+  const commentIndex = columns.indexOf(findColumn(columns, "Comment"));
+  const insertAt = commentIndex >= 0 ? commentIndex + 1 : columns.length;
+  return [
+    ...columns.slice(0, insertAt),
+    ...voteColumns,
+    ...columns.slice(insertAt),
+  ];
+}
+
+/**
+ * Finds a column by its default header, even if it was renamed on the
+ * options page
+ * @param {Array} columns - The columns
+ * @param {string} header - The default header, as in SHEET_COLUMNS
+ * @returns {Object|undefined} The column, or undefined if it is not exported
+ */
+function findColumn(columns, header) {
+  return columns.find(
+    (column) => (column.defaultHeader || column.header) === header
+  );
+}
+
+/**
+ * Gets the header a column is exported under
+ * @param {Array} columns - The columns
+ * @param {string} header - The default header, as in SHEET_COLUMNS
+ * @returns {string} The header, renamed or not; the default header if the
+ *   column is not exported
+ */
+function columnHeader(columns, header) {
+  const column = findColumn(columns, header);
+  return column ? column.header : header;
+}
+
+/**
+ * Loads the participants voting on listings, as set on the options page
+ * @returns {Promise<Array>} A promise with the participants' names
+ */
+function loadParticipants() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(["participants"], function (data) {
+      if (chrome.runtime.lastError) {
+        console.error("Storage error:", chrome.runtime.lastError);
+        resolve([]);
+        return;
+      }
+      resolve(normalizeParticipants((data && data.participants) || []));
+    });
+  });
+}
+
+/**
+ * Trims participants' names and drops empty and duplicate ones, so each
+ * vote column header is unique
+ * @param {Array} names - The names as entered
+ * @returns {Array} The participants' names
+ */
+function normalizeParticipants(names) {
+  const seen = new Set();
+  return names
+    .map((name) => String(name).replace(/\s+/g, " ").trim())
+    .filter((name) => {
+      const key = name.toLowerCase();
+      if (!name || seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Converts a rating as shown on the card ("4.92" or "4,92") to a number
+ * @param {string} rating - The rating text
+ * @returns {number|string} The rating, or an empty string if there is none
+ */
+function parseRating(rating) {
+  const value = parseFloat(String(rating || "").replace(",", "."));
+  return isNaN(value) ? "" : value;
+}
+
+/**
+ * Builds a sheet row for a listing
+ * @param {Object} item - A listing extracted by the content script
+ * @param {Array} [columns] - The columns to build (SHEET_COLUMNS if omitted)
+ * @returns {Array} The row values
+ */
+function buildSheetRow(item, columns = SHEET_COLUMNS) {
+  return columns.map((column) => column.value(item));
+}
@@ -8,6 +8,12 @@
 
 console.log("Content script loaded on:", window.location.href);
 
+// Selector profile used by the extractors (see selectors.js), loaded before each extraction
+let selectorProfile = DEFAULT_SELECTOR_PROFILE;
+
+// Locale of the page (see locales.js), detected again before each extraction
+let pageLocale = detectPageLocale();
+
 // Main message listener for communication with popup/background
 chrome.runtime.onMessage.addListener(function (request, sender, sendResponse) {
   console.log("Message received in content script:", request);
@@ -23,30 +29,45 @@ chrome.runtime.onMessage.addListener(function (request, sender, sendResponse) {
   if (request.action === "extractWishlistData") {
     console.log("Starting extraction...");
 
-    // Wrap extraction in try/catch to handle any unexpected errors
-    try {
-      // Extract wishlist name and proceed with extraction
-      const wishlistName = extractWishlistName();
+    // Pick up a selector profile imported since the last extraction
+    loadSelectorProfile().then((profile) => {
+      selectorProfile = profile;
+      pageLocale = detectPageLocale();
+      console.log(`Page locale: ${pageLocale || "unknown"}`);
+
+      // Wrap extraction in try/catch to handle any unexpected errors
+      try {
+        // Extract wishlist name and proceed with extraction
+        const wishlistName = extractWishlistName();
 
-      // Wait for DOM to be ready before extracting data
-      if (document.readyState === "loading") {
-        console.log("Document still loading, waiting before extraction...");
-        document.addEventListener("DOMContentLoaded", () => {
+        // Wait for DOM to be ready before extracting data
+        if (document.readyState === "loading") {
+          console.log("Document still loading, waiting before extraction...");
+          document.addEventListener("DOMContentLoaded", () => {
+            extractAndSendListingData(wishlistName, sendResponse);
+          });
+        } else {
+          // Document is already loaded, proceed with extraction
           extractAndSendListingData(wishlistName, sendResponse);
+        }
+      } catch (error) {
+        console.error("Error in extraction process:", error);
+        sendResponse({
+          success: false,
+          error: error.message || "Unknown error occurred during extraction",
         });
-      } else {
-        // Document is already loaded, proceed with extraction
-        extractAndSendListingData(wishlistName, sendResponse);
       }
-    } catch (error) {
-      console.error("Error in extraction process:", error);
-      sendResponse({
-        success: false,
-        error: error.message || "Unknown error occurred during extraction",
-      });
-    }
+    });
     return true; // Indicates async response
   }
+
+  // List the wishlists shown on the /wishlists overview page
+  if (request.action === "listWishlists") {
+    const wishlists = findWishlistLinks();
+    console.log("Found wishlists:", wishlists);
+    sendResponse({ success: true, wishlists: wishlists });
+    return true;
+  }
 });
 
 /**
@@ -65,78 +86,331 @@ function extractWishlistName() {
   }
 }
 
+/**
+ * Extracts the wishlist ID from the page URL
+ * @returns {string} The wishlist ID, or an empty string if not on a wishlist page
+ */
+function extractWishlistId() {
+  const wishlistMatch = window.location.pathname.match(/\/wishlists\/(\d+)/);
+  return wishlistMatch ? wishlistMatch[1] : "";
+}
+
+/**
+ * Finds the wishlists linked from the /wishlists overview page
+ * @returns {Array} The wishlists, each with its ID, name and URL
+ */
+function findWishlistLinks() {
+  const wishlists = [];
+  const seenIds = new Set();
+
+  document.querySelectorAll('a[href*="/wishlists/"]').forEach((link) => {
+    const idMatch = link.pathname.match(/^\/wishlists\/(\d+)/);
+    if (!idMatch || seenIds.has(idMatch[1])) {
+      return;
+    }
+    seenIds.add(idMatch[1]);
+
+    // The card shows the name on its first line, above "N saved"
+    const firstLine = link.innerText
+      .split("\n")
+      .map((line) => line.trim())
+      .find((line) => line);
+    const name =
+      firstLine || link.getAttribute("aria-label") || `Wishlist ${idMatch[1]}`;
+
+    wishlists.push({
+      id: idMatch[1],
+      name: name,
+      url: `${window.location.origin}/wishlists/${idMatch[1]}`,
+    });
+  });
+
+  return wishlists;
+}
+
 /**
  * Main function to extract listing data and send response back
  * @param {string} wishlistName - The name of the wishlist
  * @param {function} sendResponse - Callback function to send response
  */
 function extractAndSendListingData(wishlistName, sendResponse) {
-  try {
-    // Find all listings on the page
-    const listingCards = findListingCards();
+  const totalCount = findWishlistTotalCount();
 
-    if (listingCards.length === 0) {
-      handleNoListingsFound(sendResponse);
-      return;
-    }
+  // Long wishlists lazy-load, so scroll until every card is rendered
+  loadAllListingCards(totalCount)
+    .then(({ listingCards, complete }) => {
+      if (listingCards.length === 0) {
+        handleNoListingsFound(sendResponse);
+        return;
+      }
 
-    console.log("Found", listingCards.length, "listing cards");
+      console.log("Found", listingCards.length, "listing cards");
 
-    // Process each listing card and extract data
-    const wishlistData = listingCards.map((card, index) => {
-      console.log(`Processing card ${index + 1}/${listingCards.length}`);
-      return extractListingData(card, index);
-    });
+      // Process each listing card and extract data
+      const wishlistData = listingCards.map((card, index) => {
+        console.log(`Processing card ${index + 1}/${listingCards.length}`);
+        return extractListingData(card, index);
+      });
 
-    console.log("Extracted data for all items:", wishlistData);
+      console.log("Extracted data for all items:", wishlistData);
 
-    // Send the extracted data back to the extension
-    sendResponse({
-      success: true,
-      data: wishlistData,
-      wishlistName: wishlistName,
-    });
-  } catch (error) {
-    console.error("Error extracting wishlist data:", error);
-    sendResponse({
-      success: false,
-      error: error.message || "Unknown error occurred during extraction",
+      // Send the extracted data back to the extension
+      sendResponse({
+        success: true,
+        data: wishlistData,
+        wishlistName: wishlistName,
+        wishlistId: extractWishlistId(),
+        wishlistUrl: window.location.href.split("#")[0],
+        totalCount: totalCount,
+        complete: complete,
+        debug: buildDebugSnapshot(listingCards),
+      });
+    })
+    .catch((error) => {
+      console.error("Error extracting wishlist data:", error);
+      sendResponse({
+        success: false,
+        error: error.message || "Unknown error occurred during extraction",
+      });
     });
+}
+
+// How long to keep scrolling for more listings, in milliseconds
+const SCROLL_TIMEOUT = 30000;
+// Delay between scroll steps, giving Airbnb time to render the next batch
+const SCROLL_STEP_DELAY = 800;
+// Number of scroll steps without new cards after which the list is complete
+const SCROLL_STABLE_STEPS = 3;
+
+/**
+ * Scrolls through the wishlist until the number of listing cards stops
+ * growing, reporting the count to the popup along the way
+ * @param {number|null} totalCount - The number of listings Airbnb says the wishlist has
+ * @returns {Promise<Object>} A promise with the listing cards found and
+ *   whether the list was complete before the scroll timeout
+ */
+function loadAllListingCards(totalCount) {
+  return new Promise((resolve) => {
+    const startedAt = Date.now();
+    let lastCount = -1;
+    let stableSteps = 0;
+
+    function step() {
+      const listingCards = findListingCards();
+      reportExtractionProgress(listingCards.length, totalCount);
+
+      if (listingCards.length === lastCount) {
+        stableSteps++;
+      } else {
+        stableSteps = 0;
+        lastCount = listingCards.length;
+      }
+
+      const isComplete =
+        (totalCount && listingCards.length >= totalCount) ||
+        stableSteps >= SCROLL_STABLE_STEPS;
+      if (isComplete || Date.now() - startedAt > SCROLL_TIMEOUT) {
+        if (!isComplete) {
+          console.warn("Stopped scrolling for listings after timeout");
+        }
+        window.scrollTo(0, 0);
+        resolve({ listingCards: listingCards, complete: Boolean(isComplete) });
+        return;
+      }
+
+      // Bring the last card into view; this also scrolls inner list panes
+      if (listingCards.length > 0) {
+        listingCards[listingCards.length - 1].scrollIntoView({
+          block: "end",
+        });
+      }
+      window.scrollTo(0, document.body.scrollHeight);
+      clickShowMoreButton();
+
+      setTimeout(step, SCROLL_STEP_DELAY);
+    }
+
+    step();
+  });
+}
+
+// Label of the button loading more listings, e.g. "Show more" or "Afficher plus"
+const SHOW_MORE_PATTERN = new RegExp(`^${localeWords("showMore")}$`, "i");
+
+/**
+ * Clicks the "Show more" button of paginated wishlists, if there is one
+ */
+function clickShowMoreButton() {
+  const buttons = document.querySelectorAll("main button");
+  for (const button of buttons) {
+    if (SHOW_MORE_PATTERN.test(button.textContent.trim())) {
+      console.log("Clicking show more button");
+      button.click();
+      return;
+    }
+  }
+}
+
+/**
+ * Reads the number of listings in the wishlist from the page, e.g. "20 saved"
+ * @returns {number|null} The listing count, or null if the page does not show one
+ */
+function findWishlistTotalCount() {
+  const countPattern = new RegExp(`^(\\d+)\\s+${localeWords("saved")}`, "i");
+  const textElements = document.querySelectorAll(
+    "main h1 ~ *, main h2, main span, main div"
+  );
+
+  for (const el of textElements) {
+    if (el.children.length > 0) {
+      continue;
+    }
+    const match = el.textContent.trim().match(countPattern);
+    if (match) {
+      console.log(`Wishlist total count: ${match[1]}`);
+      return parseInt(match[1], 10);
+    }
   }
+  return null;
+}
+
+/**
+ * Reports how many listings have been found so far to the popup
+ * @param {number} found - The number of listing cards found
+ * @param {number|null} total - The number of listings in the wishlist, if known
+ */
+function reportExtractionProgress(found, total) {
+  chrome.runtime.sendMessage(
+    { action: "extractionProgress", found: found, total: total },
+    function () {
+      // Nobody may be listening (e.g. the popup closed), which is fine
+      void chrome.runtime.lastError;
+    }
+  );
 }
 
 /**
- * Finds all listing cards on the page using multiple selector strategies
+ * Finds all listing cards on the page, trying the "cards" selectors of the
+ * selector profile in order
  * @returns {Array} Array of DOM elements representing listing cards
  */
 function findListingCards() {
-  // Updated selectors that match the Airbnb HTML structure
-  const selectors = [
-    '[data-testid="card-container"]',
-    '.cy5jw6o[role="group"]',
-    ".wishlist-card",
-    ".wishlistCard",
-    'div[role="group"]',
-  ];
+  const listingCards = findFieldElements(document, "cards");
+  console.log(`Found ${listingCards.length} listing cards`);
+  return listingCards;
+}
 
-  let listingCards = [];
+/**
+ * Gets the element a field is searched in, relative to a listing card
+ * @param {Element|Document} card - The DOM element for the listing card
+ * @param {string} scope - The scope of the field ("card", "document" or "nextSibling")
+ * @returns {Element|Document|null} The element to search in
+ */
+function getFieldRoot(card, scope) {
+  if (scope === "document") {
+    return document;
+  }
+  if (scope === "nextSibling") {
+    return card.nextElementSibling;
+  }
+  return card;
+}
 
-  // Try each selector until we find elements
-  for (const selector of selectors) {
-    console.log(`Trying selector: ${selector}`);
-    const elements = document.querySelectorAll(selector);
-    console.log(`Found ${elements.length} elements with selector: ${selector}`);
+/**
+ * Finds the elements matching the first selector of a field that matches anything
+ * @param {Element|Document} card - The DOM element for the listing card
+ * @param {string} fieldName - The field in the selector profile
+ * @returns {Array} The matching elements, empty if no selector matches
+ */
+function findFieldElements(card, fieldName) {
+  const field = selectorProfile.fields[fieldName];
+  const root = field && getFieldRoot(card, field.scope);
+  if (!root) {
+    return [];
+  }
 
+  for (const selector of field.selectors) {
+    const elements = Array.from(root.querySelectorAll(selector));
     if (elements.length > 0) {
-      listingCards = Array.from(elements);
       console.log(
-        `Using selector ${selector} which found ${listingCards.length} cards`
+        `Field ${fieldName}: ${elements.length} elements match ${selector}`
+      );
+      return elements;
+    }
+  }
+  return [];
+}
+
+/**
+ * Extracts a field from a listing card using the selector profile: tries
+ * each selector in order and returns the first value that passes validation
+ * @param {Element} card - The DOM element for the listing card
+ * @param {string} fieldName - The field in the selector profile
+ * @returns {string} The field value, or an empty string if nothing matched
+ */
+function extractFieldValue(card, fieldName) {
+  return extractFieldValues(card, fieldName)[0] || "";
+}
+
+/**
+ * Extracts every value of a field from a listing card: the values of all
+ * elements matching the first selector that yields any valid value
+ * @param {Element} card - The DOM element for the listing card
+ * @param {string} fieldName - The field in the selector profile
+ * @returns {Array} The field values, empty if nothing matched
+ */
+function extractFieldValues(card, fieldName) {
+  const field = selectorProfile.fields[fieldName];
+  const root = field && getFieldRoot(card, field.scope);
+  if (!root) {
+    return [];
+  }
+
+  for (const selector of field.selectors) {
+    let elements = Array.from(root.querySelectorAll(selector));
+    if (field.index !== undefined) {
+      elements = elements.slice(field.index, field.index + 1);
+    }
+
+    const values = elements
+      .map((element) =>
+        processFieldText(
+          field.attribute
+            ? element.getAttribute(field.attribute) || ""
+            : element.textContent,
+          field
+        )
+      )
+      .filter(
+        (value) =>
+          value &&
+          (!field.validate || new RegExp(field.validate, "i").test(value))
       );
-      break;
+    if (values.length > 0) {
+      return values;
     }
   }
+  return [];
+}
 
-  return listingCards;
+/**
+ * Applies the text post-processing of a field: removes the "remove" patterns
+ * and keeps only the "match" pattern, if any
+ * @param {string} text - The raw element text or attribute value
+ * @param {Object} field - The field in the selector profile
+ * @returns {string} The processed value
+ */
+function processFieldText(text, field) {
+  let value = text.trim();
+  (field.remove || []).forEach((pattern) => {
+    value = value.replace(new RegExp(pattern, "gi"), "").trim();
+  });
+
+  if (field.match) {
+    const match = value.match(new RegExp(field.match, "i"));
+    value = match ? (match[1] !== undefined ? match[1] : match[0]) : "";
+  }
+  return value;
 }
 
 /**
@@ -146,19 +420,103 @@ function findListingCards() {
 function handleNoListingsFound(sendResponse) {
   console.warn("No listing cards found with any selector");
 
-  // Log the entire relevant DOM area to help debugging
-  const wishlistArea = document.querySelector("main");
-  if (wishlistArea) {
-    console.log(
-      "Wishlist area HTML structure:",
-      wishlistArea.innerHTML.substring(0, 500) + "..."
-    );
-  }
-
   sendResponse({
     success: false,
     error: "No listing cards found. Please refresh the page and try again.",
+    // The popup offers the page structure as a debug bundle for bug reports
+    debug: buildDebugSnapshot([]),
+  });
+}
+
+// Number of cards included in debug snapshots
+const DEBUG_CARD_LIMIT = 5;
+// Maximum length of each HTML snippet in debug snapshots
+const DEBUG_HTML_LIMIT = 10000;
+// Attributes kept in debug snapshots; everything else is dropped
+const DEBUG_ATTRIBUTES = [
+  "id",
+  "class",
+  "role",
+  "href",
+  "src",
+  "alt",
+  "aria-label",
+  "aria-labelledby",
+  "aria-hidden",
+  "data-testid",
+];
+
+/**
+ * Builds a snapshot of the page structure for bug reports: the sanitized HTML
+ * of the first cards and of the element after each card (where comments
+ * sit), or of the main area when no cards were found
+ * @param {Array} listingCards - The listing cards found on the page
+ * @returns {Object} The debug snapshot
+ */
+function buildDebugSnapshot(listingCards) {
+  const mainArea = document.querySelector("main");
+
+  return {
+    url: window.location.origin + window.location.pathname,
+    language: document.documentElement.lang || "",
+    locale: pageLocale,
+    selectorProfile: `${selectorProfile.name} ${selectorProfile.version}`,
+    cardCount: listingCards.length,
+    cards: listingCards.slice(0, DEBUG_CARD_LIMIT).map((card) => ({
+      html: sanitizeHtml(card, false),
+      // The element after the card holds the user's own comment, so its text is redacted
+      nextSiblingHtml: card.nextElementSibling
+        ? sanitizeHtml(card.nextElementSibling, true)
+        : "",
+    })),
+    mainHtml:
+      listingCards.length === 0 && mainArea
+        ? sanitizeHtml(mainArea, false, DEBUG_HTML_LIMIT * DEBUG_CARD_LIMIT)
+        : "",
+  };
+}
+
+/**
+ * Returns the HTML of an element without scripts, styles, SVG paths,
+ * unlisted attributes and URL query strings, optionally redacting its text
+ * @param {Element} element - The element to sanitize
+ * @param {boolean} redactText - Whether to replace all text with "[text]"
+ * @param {number} [limit] - The maximum length of the HTML
+ * @returns {string} The sanitized HTML
+ */
+function sanitizeHtml(element, redactText, limit = DEBUG_HTML_LIMIT) {
+  const clone = element.cloneNode(true);
+
+  clone
+    .querySelectorAll("script, style, noscript, iframe, template")
+    .forEach((el) => el.remove());
+  clone.querySelectorAll("svg").forEach((svg) => {
+    svg.innerHTML = "";
+  });
+
+  [clone, ...clone.querySelectorAll("*")].forEach((el) => {
+    Array.from(el.attributes).forEach((attribute) => {
+      if (!DEBUG_ATTRIBUTES.includes(attribute.name)) {
+        el.removeAttribute(attribute.name);
+      } else if (attribute.name === "href" || attribute.name === "src") {
+        el.setAttribute(attribute.name, attribute.value.split(/[?#]/)[0]);
+      }
+    });
   });
+
+  if (redactText) {
+    const walker = document.createTreeWalker(clone, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+      if (walker.currentNode.textContent.trim()) {
+        walker.currentNode.textContent = "[text]";
+      }
+    }
+  }
+
+  const html = clone.outerHTML;
+  return html.length > limit
+    ? html.substring(0, limit) + "<!-- truncated -->"
+    : html;
 }
 
 /**
@@ -173,45 +531,253 @@ function extractListingData(card, index) {
     console.log("First card HTML:", card.outerHTML.substring(0, 500) + "...");
   }
 
+  // Which strategy produced each field ("selector", "pattern", "url" or "none")
+  const sources = {};
+
+  const priceText = extractPrice(card, sources);
+  const price = parsePrice(priceText);
+  const date = extractDate(card, sources);
+  const urlStay = getTripDatesFromUrl();
+  const stay = urlStay || parseDateRange(date);
+  if (urlStay) {
+    sources.date = "url";
+  }
+  const totalPrice = price.isTotal ? price.amount : null;
+  const bedInfo = extractBedInfo(card, sources);
+  const rooms = parseBedInfo(bedInfo);
+  const photoUrls = extractPhotos(card, sources);
+
+  // With the number of nights known, a total price gives the nightly rate
+  let nightlyPrice = price.isTotal ? price.nightlyAmount : price.amount;
+  if (nightlyPrice === null && totalPrice !== null && stay.nights > 0) {
+    nightlyPrice = Math.round((totalPrice / stay.nights) * 100) / 100;
+  }
+
   return {
-    propertyName: extractPropertyName(card),
-    rating: extractRating(card),
-    date: extractDate(card),
-    beds: extractBedInfo(card),
-    totalPrice: extractPrice(card),
-    link: extractLink(card),
-    comment: extractComment(card),
+    roomId: extractRoomId(card),
+    propertyName: extractPropertyName(card, sources),
+    rating: extractRating(card, sources),
+    date: date,
+    checkIn: stay.checkIn,
+    checkOut: stay.checkOut,
+    nights: stay.nights,
+    bedInfo: bedInfo,
+    bedrooms: rooms.bedrooms,
+    beds: rooms.beds,
+    bathrooms: rooms.bathrooms,
+    guests: rooms.guests,
+    priceText: priceText,
+    totalPrice: totalPrice,
+    nightlyPrice: nightlyPrice,
+    originalPrice: price.originalAmount,
+    currency: price.currency,
+    unavailable: isUnavailable(card, price),
+    link: extractLink(card, sources, stay),
+    photoUrl: photoUrls[0] || "",
+    photoUrls: photoUrls,
+    comment: extractComment(card, sources),
+    sources: sources,
   };
 }
 
 /**
- * Extracts the property name from a listing card
+ * Extracts a field with the selector profile, falling back to the content
+ * pattern heuristics when no selector matches, and records which strategy
+ * produced the value
  * @param {Element} card - The DOM element for the listing card
- * @returns {string} The property name
+ * @param {string} fieldName - The field in the selector profile
+ * @param {Object} sources - The strategy per field, updated in place
+ * @returns {string} The field value, or an empty string if nothing matched
  */
-function extractPropertyName(card) {
-  try {
-    // First try to get the title directly
-    const titleElement = card.querySelector(
-      '[data-testid="listing-card-subtitle"] span, .t6mzqp7'
+function extractField(card, fieldName, sources) {
+  sources[fieldName] = "none";
+
+  const value = extractFieldValue(card, fieldName);
+  if (value) {
+    sources[fieldName] = "selector";
+    return value;
+  }
+
+  const heuristic = FIELD_HEURISTICS[fieldName];
+  const fallback = heuristic ? heuristic(card) : "";
+  if (fallback) {
+    console.warn(
+      `No selector matched ${fieldName}, found by pattern:`,
+      fallback
     );
-    if (titleElement) {
-      const propertyName = titleElement.textContent.trim();
-      console.log(`Found property name (from title): ${propertyName}`);
-      return propertyName;
+    sources[fieldName] = "pattern";
+  }
+  return fallback;
+}
+
+// Content pattern heuristics per field, used when the selectors stop matching
+const FIELD_HEURISTICS = {
+  propertyName: findPropertyNameByPattern,
+  rating: findRatingByPattern,
+  bedInfo: findBedInfoByPattern,
+  price: findPriceByPattern,
+  link: findLinkByPattern,
+  comment: findCommentByPattern,
+};
+
+// Ratings as shown next to the star or read out in aria-labels,
+// e.g. "★ 4.92", "4.92 (120)", "4,92 von 5" or "4,92 sur 5"
+const RATING_PATTERNS = [
+  /★\s*(\d[.,]\d{1,2})\b/,
+  /\b(\d[.,]\d{1,2})\s*★/,
+  new RegExp(
+    `\\b(\\d[.,]\\d{1,2})\\s*${localeWords("ratingOutOf")}\\s*5\\b`,
+    "i"
+  ),
+  /^(\d[.,]\d{1,2})\s*\(\d[\d.,]*\)$/,
+];
+
+/**
+ * Collects the texts of a card: the text of every element without child
+ * elements and every aria-label, in document order
+ * @param {Element} root - The element to collect texts from
+ * @returns {Array} The texts with the elements they belong to
+ */
+function collectCardTexts(root) {
+  const texts = [];
+  root.querySelectorAll("*").forEach((element) => {
+    const label = element.getAttribute("aria-label");
+    if (label && label.trim()) {
+      texts.push({ element: element, text: label.trim() });
+    }
+    if (element.children.length === 0 && element.textContent.trim()) {
+      texts.push({ element: element, text: element.textContent.trim() });
     }
+  });
+  return texts;
+}
 
-    // If that fails, try other selectors
-    const propertyNameElements = card.querySelectorAll(
-      '[data-testid="listing-card-title"]'
-    );
-    if (propertyNameElements.length > 0) {
-      const propertyName = propertyNameElements[0].textContent.trim();
-      console.log(`Found property name (from data-testid): ${propertyName}`);
-      return propertyName;
+/**
+ * Finds the property name through the card's aria-labelledby, title IDs,
+ * title test IDs or labelled links
+ * @param {Element} card - The DOM element for the listing card
+ * @returns {string} The property name, or an empty string
+ */
+function findPropertyNameByPattern(card) {
+  const labelledBy = (card.getAttribute("aria-labelledby") || "").split(" ")[0];
+  const titleElement =
+    (labelledBy && document.getElementById(labelledBy)) ||
+    card.querySelector('[id^="title_"], [data-testid*="title"]');
+  if (titleElement && titleElement.textContent.trim()) {
+    return titleElement.textContent.trim();
+  }
+
+  const labelledLink = card.querySelector('a[href*="/rooms/"][aria-label]');
+  return labelledLink ? labelledLink.getAttribute("aria-label").trim() : "";
+}
+
+/**
+ * Finds the rating next to the star or in rating aria-labels
+ * @param {Element} card - The DOM element for the listing card
+ * @returns {string} The rating, e.g. "4.92", or an empty string
+ */
+function findRatingByPattern(card) {
+  const texts = [
+    card.textContent,
+    ...collectCardTexts(card).map((t) => t.text),
+  ];
+  for (const pattern of RATING_PATTERNS) {
+    for (const text of texts) {
+      const match = text.match(pattern);
+      if (match) {
+        return match[1];
+      }
     }
+  }
+  return "";
+}
+
+/**
+ * Finds the bed info by its room keywords ("bedroom", "Schlafzimmer", "lits"...)
+ * @param {Element} card - The DOM element for the listing card
+ * @returns {string} The bed information text, or an empty string
+ */
+function findBedInfoByPattern(card) {
+  const patterns = [...Object.values(ROOM_COUNT_PATTERNS), STUDIO_PATTERN];
+  const found = collectCardTexts(card).find(
+    ({ text }) =>
+      text.length < 100 && patterns.some((pattern) => pattern.test(text))
+  );
+  return found ? found.text : "";
+}
+
+/**
+ * Finds the price by currency amounts in the card texts, preferring the
+ * total price. Short parent texts are used so "total" or "night" labels in
+ * a neighbouring element are kept with the amount.
+ * @param {Element} card - The DOM element for the listing card
+ * @returns {string} The price text, or an empty string
+ */
+function findPriceByPattern(card) {
+  const candidates = collectCardTexts(card)
+    .filter(({ text }) => text.length < 80 && parsePrice(text).amount !== null)
+    .map(({ element, text }) => {
+      const siblings = element.parentElement
+        ? Array.from(element.parentElement.children)
+        : [];
+      const parentText = siblings
+        .map((sibling) => sibling.textContent.trim())
+        .filter((siblingText) => siblingText)
+        .join(" ");
+      return parentText.length < 80 && parentText.includes(text)
+        ? parentText
+        : text;
+    });
 
-    return ""; // Return empty string if not found
+  return (
+    candidates.find((text) => TOTAL_PRICE_PATTERN.test(text)) ||
+    candidates[0] ||
+    ""
+  );
+}
+
+/**
+ * Finds the room link through title IDs ("title_<room ID>") or microdata
+ * @param {Element} card - The DOM element for the listing card
+ * @returns {string} The link or path of the room, or an empty string
+ */
+function findLinkByPattern(card) {
+  const titleElement = card.querySelector('[id^="title_"]');
+  const idMatch = titleElement && titleElement.id.match(/^title_(\d+)/);
+  if (idMatch) {
+    return `/rooms/${idMatch[1]}`;
+  }
+
+  const urlMeta = card.querySelector('meta[itemprop="url"]');
+  const url = urlMeta ? urlMeta.getAttribute("content") || "" : "";
+  return /\/rooms\/\d+/.test(url) ? url : "";
+}
+
+/**
+ * Finds the comment through note or comment test IDs on or after the card
+ * @param {Element} card - The DOM element for the listing card
+ * @returns {string} The comment, or an empty string
+ */
+function findCommentByPattern(card) {
+  const selector = '[data-testid*="note"], [data-testid*="comment"]';
+  const noteElement =
+    card.querySelector(selector) ||
+    (card.nextElementSibling &&
+      card.nextElementSibling.querySelector(selector));
+  return noteElement ? noteElement.textContent.trim() : "";
+}
+
+/**
+ * Extracts the property name from a listing card
+ * @param {Element} card - The DOM element for the listing card
+ * @param {Object} sources - The strategy per field, updated in place
+ * @returns {string} The property name
+ */
+function extractPropertyName(card, sources) {
+  try {
+    const propertyName = extractField(card, "propertyName", sources);
+    console.log(`Found property name: ${propertyName}`);
+    return propertyName;
   } catch (error) {
     console.log("Error extracting property name:", error);
     return "";
@@ -221,25 +787,16 @@ function extractPropertyName(card) {
 /**
  * Extracts the rating from a listing card
  * @param {Element} card - The DOM element for the listing card
+ * @param {Object} sources - The strategy per field, updated in place
  * @returns {string} The rating
  */
-function extractRating(card) {
+function extractRating(card, sources) {
   try {
-    // From the HTML example, search for rating classes or elements
-    const ratingContainer = card.querySelector(
-      ".r4a59j5, [data-testid*='rating']"
-    );
-    if (ratingContainer) {
-      // Extract the text which should include the number
-      const ratingText = ratingContainer.textContent.trim();
-      const match = ratingText.match(/(\d+[.,]\d+)/);
-      if (match) {
-        const rating = match[1];
-        console.log(`Found rating: ${rating}`);
-        return rating;
-      }
+    const rating = extractField(card, "rating", sources);
+    if (rating) {
+      console.log(`Found rating: ${rating}`);
     }
-    return "";
+    return rating;
   } catch (error) {
     console.log("Error extracting rating:", error);
     return "";
@@ -247,176 +804,546 @@ function extractRating(card) {
 }
 
 /**
- * Extracts the date information from a listing card
+ * Extracts the date information from a listing card, falling back to the
+ * date button of the wishlist when the card shows no dates of its own
  * @param {Element} card - The DOM element for the listing card
+ * @param {Object} sources - The strategy per field, updated in place
  * @returns {string} The date information
  */
-function extractDate(card) {
+function extractDate(card, sources) {
+  sources.date = "none";
   try {
-    // Target the specific button element with the date information
-    const dateButton = document.querySelector("button.c12tvzjc");
+    // Cards show their own dates as a short text like "Oct 12 – 19"
+    const textElements = card.querySelectorAll("span, div");
+    for (const el of textElements) {
+      const text = el.textContent.trim();
+      if (
+        el.children.length === 0 &&
+        text.length < 40 &&
+        parseDateRange(text).checkIn
+      ) {
+        console.log(`Found date in card: ${text}`);
+        sources.date = "pattern";
+        return text;
+      }
+    }
 
-    if (dateButton) {
-      const date = dateButton.textContent.trim();
+    // Otherwise use the dates selected for the whole wishlist
+    const date = extractFieldValue(card, "tripDates");
+    if (date) {
       console.log(`Found date from date button: ${date}`);
-      return date;
+      sources.date = "selector";
     }
-    return "";
+    return date;
   } catch (error) {
     console.log("Error extracting date:", error);
     return "";
   }
 }
 
+// Separates the two dates of a range: a dash or a word such as "bis" or "au"
+const DATE_RANGE_SEPARATOR = new RegExp(
+  `\\s*[–—-]\\s*|\\s+${localeWords("dateRange")}\\s+`,
+  "i"
+);
+
+/**
+ * Reads the trip dates from the check_in/check_out parameters of the page URL
+ * @returns {Object|null} The stay (see parseDateRange), or null if the URL has no dates
+ */
+function getTripDatesFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  const checkIn = params.get("check_in") || params.get("checkin");
+  const checkOut = params.get("check_out") || params.get("checkout");
+  const isoDate = /^\d{4}-\d{2}-\d{2}$/;
+
+  if (!isoDate.test(checkIn || "") || !isoDate.test(checkOut || "")) {
+    return null;
+  }
+  return {
+    checkIn: checkIn,
+    checkOut: checkOut,
+    nights: countNights(checkIn, checkOut),
+  };
+}
+
+/**
+ * Parses a date range such as "Oct 12 – 19", "28 Oct – 2 Nov 2026", "12.–19. Okt."
+ * or "du 12 au 19 oct."
+ * Dates without a year are taken to be the next upcoming ones.
+ * @param {string} dateText - The date range text
+ * @returns {Object} The ISO check-in and check-out dates and the number of
+ *   nights (empty strings and 0 if the text is not a date range)
+ */
+function parseDateRange(dateText) {
+  const empty = { checkIn: "", checkOut: "", nights: 0 };
+  const parts = String(dateText || "").split(DATE_RANGE_SEPARATOR);
+  if (parts.length !== 2) {
+    return empty;
+  }
+
+  const start = parseDatePart(parts[0]);
+  const end = parseDatePart(parts[1]);
+
+  // "Oct 12 – 19" only names the month once, "12.–19. Okt." only at the end
+  start.month = start.month ?? end.month;
+  end.month = end.month ?? start.month;
+  if (start.day === null || end.day === null || start.month === null) {
+    return empty;
+  }
+
+  // Without a year, assume the stay is today or later
+  const today = new Date();
+  let startYear = start.year ?? end.year ?? today.getFullYear();
+  if (start.year === null && end.year === null) {
+    const startDate = new Date(startYear, start.month, start.day);
+    if (
+      startDate <
+      new Date(today.getFullYear(), today.getMonth(), today.getDate())
+    ) {
+      startYear++;
+    }
+  }
+  // A stay across New Year ends in the following year
+  const endYear =
+    end.year ?? (end.month < start.month ? startYear + 1 : startYear);
+
+  const checkIn = toIsoDate(startYear, start.month, start.day);
+  const checkOut = toIsoDate(endYear, end.month, end.day);
+  const nights = countNights(checkIn, checkOut);
+  if (nights <= 0) {
+    return empty;
+  }
+
+  console.log(
+    `Parsed date range: ${checkIn} to ${checkOut} (${nights} nights)`
+  );
+  return { checkIn: checkIn, checkOut: checkOut, nights: nights };
+}
+
+/**
+ * Parses one side of a date range into day, month and year, trying the month
+ * names of the page's locale first
+ * @param {string} text - The date text, e.g. "Oct 28", "28. Okt." or "Jan 2, 2027"
+ * @returns {Object} The day, zero-based month and year (null where missing)
+ */
+function parseDatePart(text) {
+  const result = { day: null, month: null, year: null };
+
+  const words = text.toLowerCase().match(/[a-z\u00e0-\u00ff]+/g) || [];
+  for (const word of words) {
+    for (const locale of getLocalesInOrder(pageLocale)) {
+      const month = locale.months.findIndex((prefix) =>
+        word.startsWith(prefix)
+      );
+      if (month >= 0 && result.month === null) {
+        result.month = month;
+      }
+    }
+  }
+
+  const numbers = text.match(/\d+/g) || [];
+  for (const number of numbers) {
+    if (number.length === 4) {
+      result.year = parseInt(number, 10);
+    } else if (result.day === null && parseInt(number, 10) <= 31) {
+      result.day = parseInt(number, 10);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Formats a date as an ISO date string (YYYY-MM-DD)
+ * @param {number} year - The full year
+ * @param {number} month - The zero-based month
+ * @param {number} day - The day of the month
+ * @returns {string} The ISO date
+ */
+function toIsoDate(year, month, day) {
+  return [
+    year,
+    String(month + 1).padStart(2, "0"),
+    String(day).padStart(2, "0"),
+  ].join("-");
+}
+
+/**
+ * Counts the nights between two ISO dates
+ * @param {string} checkIn - The ISO check-in date
+ * @param {string} checkOut - The ISO check-out date
+ * @returns {number} The number of nights
+ */
+function countNights(checkIn, checkOut) {
+  const millisecondsPerDay = 24 * 60 * 60 * 1000;
+  return Math.round(
+    (Date.parse(checkOut) - Date.parse(checkIn)) / millisecondsPerDay
+  );
+}
+
 /**
  * Extracts bed information from a listing card
  * @param {Element} card - The DOM element for the listing card
- * @returns {string} The bed information
+ * @param {Object} sources - The strategy per field, updated in place
+ * @returns {string} The bed information text, e.g. "2 bedrooms · 3 beds"
  */
-function extractBedInfo(card) {
+function extractBedInfo(card, sources) {
   try {
-    if (card) {
-      // First, try to find the g1qv1ctd container class which often holds listing details
-      const detailsContainer = card.querySelector(".g1qv1ctd");
-
-      if (detailsContainer) {
-        // The bed info might be in the third child div
-        const divChildren = detailsContainer.querySelectorAll(
-          ":scope > div:not([aria-hidden='true'])"
-        );
-
-        if (divChildren.length >= 3) {
-          const potentialBedDiv = divChildren[2]; // Third child (index 2)
-          const fullText = potentialBedDiv.textContent.trim();
-
-          // Check if the text appears to be duplicated
-          if (fullText.length % 2 === 0) {
-            const halfLength = fullText.length / 2;
-            const firstHalf = fullText.substring(0, halfLength).trim();
-            const secondHalf = fullText.substring(halfLength).trim();
-
-            // If the two halves are identical or very similar, just use the first half
-            if (
-              firstHalf === secondHalf ||
-              areStringSimilar(firstHalf, secondHalf)
-            ) {
-              console.log(
-                `Detected duplicate text, using first half: ${firstHalf}`
-              );
-              return firstHalf;
-            } else {
-              // If not duplicated, use the full text
-              console.log(`Using full text for beds: ${fullText}`);
-              return fullText;
-            }
-          } else {
-            // If not even length, just use the full text
-            console.log(`Using full text for beds: ${fullText}`);
-            return fullText;
-          }
-        }
-      }
+    const bedInfo = extractField(card, "bedInfo", sources);
+    if (bedInfo) {
+      console.log(`Found bed info: ${bedInfo}`);
     }
-    return "";
+    return bedInfo;
   } catch (error) {
     console.log("Error extracting beds:", error);
     return "";
   }
 }
 
+// Patterns for the room counts in the bed info, in every supported language.
+// The text is often rendered twice, so only the first match is used.
+const ROOM_COUNT_PATTERNS = {
+  bedrooms: new RegExp(`(\\d+)\\s*${localeWords("bedrooms")}`, "i"),
+  beds: new RegExp(`(\\d+)\\s*${localeWords("beds")}\\b`, "i"),
+  bathrooms: new RegExp(
+    `(\\d+(?:[.,]5)?)\\s*(?:${localeWords(
+      "bathroomQualifier"
+    )}\\s+)?${localeWords("bathrooms")}\\b`,
+    "i"
+  ),
+  guests: new RegExp(`(\\d+)\\s*${localeWords("guests")}\\b`, "i"),
+};
+
+// Studios have no separate bedroom
+const STUDIO_PATTERN = new RegExp(`\\b${localeWords("studio")}\\b`, "i");
+
 /**
- * Checks if two strings are similar (handles minor differences)
- * @param {string} str1 - First string to compare
- * @param {string} str2 - Second string to compare
- * @returns {boolean} True if strings are similar
+ * Parses bed info such as "2 bedrooms · 3 beds" or "1 chambre · 2 lits"
+ * into numeric counts
+ * @param {string} bedInfo - The bed information text
+ * @returns {Object} The number of bedrooms, beds, bathrooms and guests
+ *   (null where the text does not mention them)
  */
-function areStringSimilar(str1, str2) {
-  // Simple check for very similar strings
-  if (str1.includes(str2) || str2.includes(str1)) {
-    return true;
-  }
+function parseBedInfo(bedInfo) {
+  const rooms = { bedrooms: null, beds: null, bathrooms: null, guests: null };
 
-  // If length difference is significant, they're not similar
-  if (Math.abs(str1.length - str2.length) > 3) {
-    return false;
-  }
-
-  // Count matching characters
-  let matches = 0;
-  for (let i = 0; i < Math.min(str1.length, str2.length); i++) {
-    if (str1[i] === str2[i]) {
-      matches++;
+  Object.keys(ROOM_COUNT_PATTERNS).forEach((field) => {
+    const match = String(bedInfo || "").match(ROOM_COUNT_PATTERNS[field]);
+    if (match) {
+      rooms[field] = parseFloat(match[1].replace(",", "."));
     }
+  });
+
+  if (rooms.bedrooms === null && STUDIO_PATTERN.test(bedInfo || "")) {
+    rooms.bedrooms = 0;
   }
 
-  // If 80% or more characters match, consider them similar
-  return matches / Math.max(str1.length, str2.length) >= 0.8;
+  return rooms;
 }
 
 /**
  * Extracts price information from a listing card
  * @param {Element} card - The DOM element for the listing card
+ * @param {Object} sources - The strategy per field, updated in place
  * @returns {string} The price information
  */
-function extractPrice(card) {
+function extractPrice(card, sources) {
   try {
-    // Look for the element with the total price class or containing total price text
-    const totalPriceElement = card.querySelector(
-      "._tt122m, [class*='price'], [class*='total']"
-    );
-
-    if (totalPriceElement) {
-      let totalPrice = totalPriceElement.textContent.trim();
-      // Remove the "Gesamtpreis: " or similar prefix if it exists
-      totalPrice = totalPrice.replace(/^Gesamtpreis:\s*/, "");
-      totalPrice = totalPrice.replace(/^Insgesamt\s*/, "");
+    // Look for the price element, or currency amounts if no selector matches,
+    // without a leading label such as "Gesamtpreis:"
+    const totalPrice = extractField(card, "price", sources)
+      .replace(PRICE_LABEL_PATTERN, "")
+      .trim();
+    if (totalPrice) {
       console.log(`Found total price: ${totalPrice}`);
-      return totalPrice;
-    } else {
-      // Try to find price by looking for currency symbols
-      const allElements = card.querySelectorAll("div, span");
-      for (const el of allElements) {
-        if (
-          el.textContent &&
-          (el.textContent.includes("€") || el.textContent.includes("$"))
-        ) {
-          const totalPrice = el.textContent.trim();
-          console.log(`Found price with currency symbol: ${totalPrice}`);
-          return totalPrice;
-        }
+    }
+    return totalPrice;
+  } catch (error) {
+    console.log("Error extracting price:", error);
+    return "";
+  }
+}
+
+/**
+ * Extracts the Airbnb room ID from a listing card
+ * @param {Element} card - The DOM element for the listing card
+ * @returns {string} The room ID, or an empty string if none was found
+ */
+function extractRoomId(card) {
+  try {
+    const href = extractField(card, "link", {});
+    if (href) {
+      const roomMatch = href.match(/\/rooms\/(\d+)/);
+      if (roomMatch) {
+        console.log(`Room ID: ${roomMatch[1]}`);
+        return roomMatch[1];
       }
     }
     return "";
   } catch (error) {
-    console.log("Error extracting price:", error);
+    console.log("Error extracting room ID:", error);
     return "";
   }
 }
 
+// Currency symbols and codes mapped to ISO 4217 codes, longest first so
+// "CA$" wins over "$"
+const CURRENCY_CODES = {
+  US$: "USD",
+  CA$: "CAD",
+  AU$: "AUD",
+  MX$: "MXN",
+  NZ$: "NZD",
+  R$: "BRL",
+  A$: "AUD",
+  CHF: "CHF",
+  EUR: "EUR",
+  USD: "USD",
+  GBP: "GBP",
+  zł: "PLN",
+  "€": "EUR",
+  $: "USD",
+  "£": "GBP",
+  "¥": "JPY",
+  "₹": "INR",
+};
+
+// Words marking a price as the total for the stay or as a nightly rate
+const TOTAL_PRICE_PATTERN = new RegExp(localeWords("total"), "i");
+const NIGHTLY_PRICE_PATTERN = new RegExp(localeWords("nightly"), "i");
+
+// Label in front of the price, e.g. "Gesamtpreis:" or "Prix total :"
+const PRICE_LABEL_PATTERN = new RegExp(
+  `^${localeWords("priceLabel")}\\s*:?`,
+  "i"
+);
+
+// Text shown instead of a price when a listing cannot be booked for the dates
+const UNAVAILABLE_PATTERN = new RegExp(localeWords("unavailable"), "i");
+
+/**
+ * Checks whether a listing card says it is unavailable for the trip dates
+ * @param {Element} card - The DOM element for the listing card
+ * @param {Object} price - The price parsed from the card (see parsePrice)
+ * @returns {boolean} True if the card shows no price but an unavailable notice
+ */
+function isUnavailable(card, price) {
+  return price.amount === null && UNAVAILABLE_PATTERN.test(card.textContent);
+}
+
+/**
+ * Parses a price text such as "€1.234 total", "$1,050 $980 total" or
+ * "$120 night · $840 total"
+ * @param {string} priceText - The price text from the listing card
+ * @returns {Object} The amount, currency code, whether it is the total price,
+ *   the original amount when the price is discounted and the nightly amount
+ *   when the text shows it next to the total
+ */
+function parsePrice(priceText) {
+  const result = {
+    amount: null,
+    currency: "",
+    isTotal: true,
+    originalAmount: null,
+    nightlyAmount: null,
+  };
+  if (!priceText) {
+    return result;
+  }
+  const locale = AIRBNB_LOCALES[pageLocale];
+
+  // Only numbers right before or after a currency are amounts, so
+  // "for 7 nights" does not count as a price
+  const currencyPattern = Object.keys(CURRENCY_CODES)
+    .map((symbol) => symbol.replace(/[$]/g, "\\$"))
+    .join("|");
+  const numberPattern = "\\d[\\d.,'\\s\\u00a0\\u202f]*\\d|\\d";
+  const amountRegex = new RegExp(
+    `(${currencyPattern})\\s?(${numberPattern})|(${numberPattern})\\s?(${currencyPattern})`,
+    "g"
+  );
+
+  const amounts = [];
+  let match;
+  while ((match = amountRegex.exec(priceText)) !== null) {
+    const amount = parseLocalizedNumber(
+      match[2] || match[3],
+      locale && locale.decimalSeparator
+    );
+    if (amount !== null) {
+      amounts.push({
+        value: amount,
+        start: match.index,
+        end: match.index + match[0].length,
+      });
+      result.currency = result.currency || CURRENCY_CODES[match[1] || match[4]];
+    }
+  }
+
+  if (amounts.length === 0) {
+    return result;
+  }
+
+  labelPriceAmounts(priceText, amounts);
+  const totals = amounts.filter((amount) => amount.label === "total");
+  const nightlies = amounts.filter((amount) => amount.label === "nightly");
+
+  // The total wins when the text shows both prices
+  const [amount, originalAmount] = pickDiscountedAmount(
+    totals.length > 0 ? totals : nightlies.length > 0 ? nightlies : amounts
+  );
+  result.amount = amount;
+  result.originalAmount = originalAmount;
+  result.isTotal = totals.length > 0 || nightlies.length === 0;
+  if (totals.length > 0 && nightlies.length > 0) {
+    result.nightlyAmount = pickDiscountedAmount(nightlies)[0];
+  }
+
+  console.log("Parsed price:", result);
+  return result;
+}
+
+/**
+ * Labels each amount of a price text "total" or "nightly" after the keyword
+ * next to it: the first keyword after the amount, or else the last one
+ * before it that follows no other amount. Amounts without
+ * a keyword of their own, such as the struck-through original of a discount,
+ * take the label of the next labelled amount (or else the previous one).
+ * @param {string} priceText - The price text
+ * @param {Array} amounts - The amounts found in the text, in order, with
+ *   their start and end positions; labelled in place (null without keywords)
+ */
+function labelPriceAmounts(priceText, amounts) {
+  const keywords = [];
+  [
+    ["total", TOTAL_PRICE_PATTERN],
+    ["nightly", NIGHTLY_PRICE_PATTERN],
+  ].forEach(([label, pattern]) => {
+    const regex = new RegExp(pattern.source, "gi");
+    let match;
+    while ((match = regex.exec(priceText)) !== null) {
+      keywords.push({ label: label, start: match.index });
+    }
+  });
+  keywords.sort((a, b) => a.start - b.start);
+
+  // A keyword right after an amount belongs to it ("$120 night")
+  const after = amounts.map((amount, index) => {
+    const next = amounts[index + 1];
+    return keywords.find(
+      (keyword) =>
+        keyword.start >= amount.end && (!next || keyword.start < next.start)
+    );
+  });
+  // Otherwise a keyword right before it that no amount took ("Total: $840")
+  const ownLabels = amounts.map((amount, index) => {
+    const previous = amounts[index - 1];
+    const before = keywords
+      .filter(
+        (keyword) =>
+          keyword.start < amount.start &&
+          (!previous || keyword.start >= previous.end) &&
+          !after.includes(keyword)
+      )
+      .pop();
+    return (after[index] || before || {}).label || null;
+  });
+
+  amounts.forEach((amount, index) => {
+    amount.label =
+      ownLabels[index] ||
+      ownLabels.slice(index + 1).find(Boolean) ||
+      ownLabels.slice(0, index).reverse().find(Boolean) ||
+      null;
+  });
+}
+
+/**
+ * Picks the price from amounts shown for the same thing: discounted prices
+ * show the struck-through original first
+ * @param {Array} amounts - The amounts, in order
+ * @returns {Array} The price and the original price (null without discount)
+ */
+function pickDiscountedAmount(amounts) {
+  if (amounts.length >= 2 && amounts[0].value > amounts[1].value) {
+    return [amounts[1].value, amounts[0].value];
+  }
+  return [amounts[0].value, null];
+}
+
+/**
+ * Parses a number written as "1.234,56", "1,234.56", "1 234,56" or "1234"
+ * @param {string} text - The number text
+ * @param {string} [decimalSeparator] - The decimal separator of the page's
+ *   locale; guessed from the number when the locale is unknown or the
+ *   number does not follow its format
+ * @returns {number|null} The number, or null if the text is not a number
+ */
+function parseLocalizedNumber(text, decimalSeparator) {
+  let number = String(text).replace(/[\s\u00a0\u202f']/g, "");
+
+  // Numbers written in the locale's format are read with its separators.
+  // Prices have at most two decimals, so "1,234" on a page using "," for
+  // decimals is left to the thousands heuristic below.
+  if (decimalSeparator) {
+    const groupSeparator = decimalSeparator === "," ? "." : ",";
+    const localeFormat = new RegExp(
+      `^(?:\\d{1,3}(?:\\${groupSeparator}\\d{3})+|\\d+)(?:\\${decimalSeparator}\\d{1,2})?$`
+    );
+    if (localeFormat.test(number)) {
+      return parseFloat(
+        number.split(groupSeparator).join("").replace(decimalSeparator, ".")
+      );
+    }
+  }
+
+  const lastSeparator = Math.max(
+    number.lastIndexOf("."),
+    number.lastIndexOf(",")
+  );
+
+  // A separator followed by exactly three digits groups thousands,
+  // anything else is the decimal separator
+  if (lastSeparator >= 0 && number.length - lastSeparator - 1 !== 3) {
+    number =
+      number.substring(0, lastSeparator).replace(/[.,]/g, "") +
+      "." +
+      number.substring(lastSeparator + 1);
+  } else {
+    number = number.replace(/[.,]/g, "");
+  }
+
+  const value = parseFloat(number);
+  return isNaN(value) ? null : value;
+}
+
+// Query parameters of a room link that describe the trip. Everything else
+// (tracking, impression and search IDs) is dropped.
+const TRIP_LINK_PARAMS = [
+  "check_in",
+  "check_out",
+  "adults",
+  "children",
+  "infants",
+  "pets",
+];
+
 /**
  * Extracts link to the listing from a listing card
  * @param {Element} card - The DOM element for the listing card
+ * @param {Object} sources - The strategy per field, updated in place
+ * @param {Object} stay - The trip dates of the listing (see parseDateRange)
  * @returns {string} The link to the listing
  */
-function extractLink(card) {
+function extractLink(card, sources, stay) {
   try {
     // The link is usually in an <a> element
-    const linkElement = card.querySelector('a[href*="/rooms/"]');
-    if (linkElement) {
-      const href = linkElement.getAttribute("href");
-      if (href) {
-        // Extract just the room part to avoid long URLs with tracking params
-        const roomMatch = href.match(/\/rooms\/(\d+)/);
-        if (roomMatch) {
-          const link = "https://www.airbnb.com/rooms/" + roomMatch[1];
-          console.log(`Found link: ${link}`);
-          return link;
-        } else {
-          const link = "https://www.airbnb.com" + href.split("?")[0];
-          console.log(`Found partial link: ${link}`);
-          return link;
-        }
-      }
+    const href = extractField(card, "link", sources);
+    if (href) {
+      const link = buildListingLink(href, stay);
+      console.log(`Found link: ${link}`);
+      return link;
     }
     return "";
   } catch (error) {
@@ -426,35 +1353,102 @@ function extractLink(card) {
 }
 
 /**
- * Extracts comment from a listing card if any exists
+ * Builds the link to a listing on the Airbnb domain of the wishlist, keeping
+ * the trip dates and guest counts so the room page shows the same price
+ * @param {string} href - The link or path found on the card
+ * @param {Object} stay - The trip dates of the listing (see parseDateRange)
+ * @returns {string} The link to the listing
+ */
+function buildListingLink(href, stay) {
+  const cardUrl = new URL(href, window.location.origin);
+  const roomMatch = cardUrl.pathname.match(/\/rooms\/(\d+)/);
+  const link = new URL(
+    roomMatch ? `/rooms/${roomMatch[1]}` : cardUrl.pathname,
+    window.location.origin
+  );
+
+  // The wishlist's own parameters win over the card's, and the dates shown
+  // for the listing over both
+  const pageParams = new URLSearchParams(window.location.search);
+  TRIP_LINK_PARAMS.forEach((name) => {
+    const value = pageParams.get(name) || cardUrl.searchParams.get(name);
+    if (value) {
+      link.searchParams.set(name, value);
+    }
+  });
+  if (stay && stay.checkIn) {
+    link.searchParams.set("check_in", stay.checkIn);
+    link.searchParams.set("check_out", stay.checkOut);
+  }
+
+  return link.toString();
+}
+
+// Label of the button after a comment, e.g. "Edit" or "Bearbeiten"
+const EDIT_LABEL_PATTERN = new RegExp(`${localeWords("edit")}$`, "i");
+
+/**
+ * Extracts the photo URLs of a listing card's carousel, falling back to any
+ * image on Airbnb's image host when no selector matches
  * @param {Element} card - The DOM element for the listing card
- * @returns {string} The comment for the listing
+ * @param {Object} sources - The strategy per field, updated in place
+ * @returns {Array} The photo URLs, first photo first (empty if none were found)
  */
-function extractComment(card) {
+function extractPhotos(card, sources) {
   try {
-    // Get the room ID from the link - this is the reliable identifier
-    let roomId = "";
-    const linkElement = card.querySelector('a[href*="/rooms/"]');
-    if (linkElement) {
-      const href = linkElement.getAttribute("href");
-      const roomMatch = href.match(/\/rooms\/(\d+)/);
-      if (roomMatch) {
-        roomId = roomMatch[1];
-        console.log(`Room ID: ${roomId}`);
+    let photoUrls = extractFieldValues(card, "photos");
+    sources.photo = photoUrls.length > 0 ? "selector" : "none";
+
+    if (photoUrls.length === 0) {
+      photoUrls = findPhotosByPattern(card);
+      if (photoUrls.length > 0) {
+        console.warn("No selector matched photos, found by pattern");
+        sources.photo = "pattern";
       }
     }
 
-    // Look for a comment div in a cpj3fk1 container that directly follows this card
-    const nextElement = card.nextElementSibling;
-    if (nextElement && nextElement.classList.contains("cpj3fk1")) {
-      const commentDiv = nextElement.querySelector("div.nzkbe2g");
-      if (commentDiv) {
-        const commentText = commentDiv.textContent
-          .replace(/Bearbeiten/i, "")
-          .trim();
-        console.log(`Found comment: ${commentText}`);
-        return commentText;
-      }
+    // Carousels repeat their first photo at the end
+    photoUrls = Array.from(new Set(photoUrls));
+    console.log(`Found ${photoUrls.length} photos`);
+    return photoUrls;
+  } catch (error) {
+    console.log("Error extracting photos:", error);
+    return [];
+  }
+}
+
+/**
+ * Finds listing photos by their host (Airbnb serves them from muscache.com),
+ * reading lazy-loaded images from their srcset
+ * @param {Element} card - The DOM element for the listing card
+ * @returns {Array} The photo URLs, empty if none were found
+ */
+function findPhotosByPattern(card) {
+  return Array.from(card.querySelectorAll("img"))
+    .map((image) => {
+      const source = image.getAttribute("src") || "";
+      const srcset = (image.getAttribute("srcset") || "").split(" ")[0];
+      return /^https?:\/\//.test(source) ? source : srcset;
+    })
+    .filter((url) => /^https?:\/\/[^/]*muscache\.com\//.test(url));
+}
+
+/**
+ * Extracts comment from a listing card if any exists
+ * @param {Element} card - The DOM element for the listing card
+ * @param {Object} sources - The strategy per field, updated in place
+ * @returns {string} The comment for the listing
+ */
+function extractComment(card, sources) {
+  try {
+    // Comments sit in a container that directly follows the card, next to
+    // its "Edit" button
+    const commentText = extractField(card, "comment", sources)
+      .replace(EDIT_LABEL_PATTERN, "")
+      .trim();
+    if (commentText) {
+      console.log(`Found comment: ${commentText}`);
+      return commentText;
     }
 
     // If no comment found directly after the card, the listing probably has no comment
@@ -0,0 +1,172 @@
+/**
+ * Airbnb Wishlist to Google Sheets Extension
+ * Export Settings (export-settings.js)
+ *
+ * This script defines the export settings set on the options page: which
+ * columns are exported, in which order and under which headers, how new
+ * spreadsheets are named and how dates are shown. They are kept in
+ * chrome.storage.sync, so they follow the user to every Chrome they sign in
+ * to. It is loaded by the background service worker, the popup (file
+ * downloads) and the options page, after columns.js.
+ */
+
+// Placeholders of the spreadsheet title template
+const TITLE_PLACEHOLDERS = ["{wishlist}", "{date}", "{count}"];
+
+// Number of former headers remembered per column, to rename synced sheets
+const MAX_FORMER_LABELS = 5;
+
+// Date formats to choose from, as Google Sheets number format patterns
+const DATE_FORMATS = ["yyyy-mm-dd", "dd/mm/yyyy", "mm/dd/yyyy", "dd.mm.yyyy"];
+
+/**
+ * Export settings used until changed on the options page:
+ * - columns: the columns in export order, each with its default header, the
+ *   header it is exported under ("" for the default), the headers it was
+ *   exported under before and whether it is exported; empty for
+ *   SHEET_COLUMNS as they are
+ * - titleTemplate: the title of new spreadsheets (see TITLE_PLACEHOLDERS)
+ * - dateFormat: how dates are shown in the sheet and in the title (see DATE_FORMATS)
+ */
+const DEFAULT_EXPORT_SETTINGS = {
+  columns: [],
+  titleTemplate: "Airbnb Wishlist: {wishlist} - {date}",
+  dateFormat: "yyyy-mm-dd",
+};
+
+/**
+ * Loads the export settings saved on the options page
+ * @returns {Promise<Object>} A promise with the settings (see DEFAULT_EXPORT_SETTINGS)
+ */
+function loadExportSettings() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get(["exportSettings"], function (data) {
+      if (chrome.runtime.lastError) {
+        console.error("Storage error:", chrome.runtime.lastError);
+        resolve(DEFAULT_EXPORT_SETTINGS);
+        return;
+      }
+      resolve(
+        Object.assign(
+          {},
+          DEFAULT_EXPORT_SETTINGS,
+          (data && data.exportSettings) || {}
+        )
+      );
+    });
+  });
+}
+
+/**
+ * Lists every column with its settings, in export order. Columns missing
+ * from the settings (added in a later version) come last, exported under
+ * their default header.
+ * @param {Array} columns - The columns to export (SHEET_COLUMNS)
+ * @param {Object} settings - The export settings
+ * @returns {Array} One entry per column with the column, its label ("" for
+ *   the default header), its former labels and whether it is exported
+ */
+function listColumnSettings(columns, settings) {
+  const entries = [];
+  settings.columns.forEach((saved) => {
+    const column = columns.find((item) => item.header === saved.header);
+    if (column && !entries.some((entry) => entry.column === column)) {
+      entries.push({
+        column: column,
+        label: saved.label || "",
+        formerLabels: saved.formerLabels || [],
+        enabled: saved.enabled !== false,
+      });
+    }
+  });
+  columns.forEach((column) => {
+    if (!entries.some((entry) => entry.column === column)) {
+      entries.push({
+        column: column,
+        label: "",
+        formerLabels: [],
+        enabled: true,
+      });
+    }
+  });
+  return entries;
+}
+
+/**
+ * Orders, renames and leaves out columns as set on the options page.
+ * Required columns are always exported. A renamed column keeps its default
+ * header in "defaultHeader", and the references of other columns (linkTo,
+ * imageFrom) follow the rename. The headers a column may still have in synced
+ * sheets are listed in "formerHeaders". Date columns get the chosen date
+ * format in "dateFormat".
+ * @param {Array} columns - The columns to export (SHEET_COLUMNS)
+ * @param {Object} settings - The export settings
+ * @returns {Array} The columns to export
+ */
+function applyColumnSettings(columns, settings) {
+  const entries = listColumnSettings(columns, settings);
+  const labels = {};
+  entries.forEach((entry) => {
+    if (entry.label && entry.label !== entry.column.header) {
+      labels[entry.column.header] = entry.label;
+    }
+  });
+  const rename = (header) => labels[header] || header;
+
+  return entries
+    .filter((entry) => entry.enabled || entry.column.required)
+    .map(({ column, formerLabels }) => {
+      const applied = Object.assign({}, column, {
+        header: rename(column.header),
+      });
+      if (labels[column.header]) {
+        applied.defaultHeader = column.header;
+      }
+      const formerHeaders = [column.header]
+        .concat(formerLabels)
+        .filter((header) => header !== applied.header);
+      if (formerHeaders.length > 0) {
+        applied.formerHeaders = formerHeaders;
+      }
+      if (column.linkTo) {
+        applied.linkTo = rename(column.linkTo);
+      }
+      if (column.imageFrom) {
+        applied.imageFrom = rename(column.imageFrom);
+      }
+      if (column.format === "date") {
+        applied.dateFormat = settings.dateFormat;
+      }
+      return applied;
+    });
+}
+
+/**
+ * Fills in the title template of a new spreadsheet
+ * @param {Object} settings - The export settings
+ * @param {string} wishlistName - The name of the wishlist
+ * @param {number} count - The number of listings exported
+ * @returns {string} The spreadsheet title
+ */
+function formatSpreadsheetTitle(settings, wishlistName, count) {
+  const title = settings.titleTemplate
+    .replace(/\{wishlist\}/g, wishlistName || "Untitled")
+    .replace(/\{date\}/g, formatExportDate(new Date(), settings.dateFormat))
+    .replace(/\{count\}/g, String(count))
+    .trim();
+  return title || wishlistName || "Untitled";
+}
+
+/**
+ * Formats a date with one of the DATE_FORMATS patterns
+ * @param {Date} date - The date
+ * @param {string} dateFormat - The pattern, e.g. "dd/mm/yyyy"
+ * @returns {string} The formatted date, e.g. "19/10/2026"
+ */
+function formatExportDate(date, dateFormat) {
+  const pad = (number) => String(number).padStart(2, "0");
+  return (DATE_FORMATS.includes(dateFormat) ? dateFormat : DATE_FORMATS[0])
+    .replace("yyyy", String(date.getFullYear()))
+    .replace("mm", pad(date.getMonth() + 1))
+    .replace("dd", pad(date.getDate()));
+}
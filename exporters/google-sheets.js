@@ -0,0 +1,2135 @@
+/**
+ * Airbnb Wishlist to Google Sheets Extension
+ * Google Sheets Exporter (exporters/google-sheets.js)
+ *
+ * This script writes wishlist data to Google Sheets through the Sheets REST API.
+ * It is loaded by background.js with importScripts and registers itself as the
+ * "googleSheets" exporter.
+ */
+
+registerExporter({
+  id: "googleSheets",
+  label: "Google",
+
+  /**
+   * Gets a valid OAuth token
+   * @returns {Promise<string>} A promise that resolves with the token
+   */
+  authenticate() {
+    return new Promise((resolve, reject) => {
+      chrome.storage.local.get(["token"], function (data) {
+        // Handle storage errors
+        if (chrome.runtime.lastError) {
+          console.error("Storage error:", chrome.runtime.lastError);
+          reject(
+            new Error(`Storage error: ${chrome.runtime.lastError.message}`)
+          );
+          return;
+        }
+
+        const authError = new Error(
+          "Authentication required. Please sign in with Google."
+        );
+        authError.needsAuth = true;
+
+        // Check for missing token
+        if (!data.token) {
+          console.error("Not authenticated with Google");
+          reject(authError);
+          return;
+        }
+
+        // Validate token before proceeding
+        validateToken()
+          .then(resolve)
+          .catch((error) => {
+            console.error("Token validation failed:", error);
+            reject(authError);
+          });
+      });
+    });
+  },
+
+  /**
+   * Removes the stored token (wishlist links are kept)
+   * @returns {Promise<void>} A promise that resolves once the token is removed
+   */
+  resetAuthentication() {
+    return new Promise((resolve) => {
+      chrome.storage.local.remove(["token"], function () {
+        if (chrome.runtime.lastError) {
+          console.error("Error clearing token:", chrome.runtime.lastError);
+        }
+        resolve();
+      });
+    });
+  },
+
+  /**
+   * Opens the spreadsheet chosen in the popup, the spreadsheet linked to the
+   * wishlist in sync mode, or creates a new one
+   * @param {string} token - The OAuth token
+   * @param {Object} options - The wishlist ID and name, whether sync mode is
+   *   on, the title of a new spreadsheet, and the spreadsheet (URL or ID) and
+   *   tab name chosen in the popup, if any
+   * @returns {Promise<Object>} A promise with the spreadsheet ID, sheet title and whether it is new
+   */
+  openTarget(token, options) {
+    if (options.destination) {
+      return openChosenSpreadsheet(token, options);
+    }
+
+    return getLinkedSpreadsheet(options.syncMode ? options.wishlistId : null)
+      .then((linked) => {
+        if (!linked) {
+          return null;
+        }
+        console.log("Syncing into linked spreadsheet:", linked);
+        return spreadsheetExists(token, linked.spreadsheetId).then((exists) => {
+          if (!exists) {
+            // The linked spreadsheet was deleted, so start over with a new one
+            console.log("Linked spreadsheet not found, creating a new one");
+            return null;
+          }
+          return {
+            spreadsheetId: linked.spreadsheetId,
+            sheetTitle: linked.sheetTitle || options.wishlistName,
+            rankingSheetTitle: linked.rankingSheetTitle,
+            isNew: false,
+          };
+        });
+      })
+      .then((target) => {
+        if (target) {
+          return target;
+        }
+
+        console.log("Creating new spreadsheet...");
+        return createSpreadsheet(token, options.title, [
+          options.wishlistName || "Wishlist",
+        ]).then((spreadsheet) => ({
+          spreadsheetId: spreadsheet.spreadsheetId,
+          spreadsheetTitle: spreadsheet.properties.title,
+          sheetTitle: spreadsheet.sheets[0].properties.title,
+          isNew: true,
+        }));
+      });
+  },
+
+  /**
+   * Creates a new spreadsheet with one sheet per title, renaming duplicates
+   * @param {string} token - The OAuth token
+   * @param {Object} options - The spreadsheet title and the sheet titles
+   * @returns {Promise<Array>} A promise with one target per sheet title, in order
+   */
+  openWorkbook(token, options) {
+    console.log(
+      "Creating new spreadsheet for",
+      options.sheetTitles.length,
+      "sheets"
+    );
+    const sheetTitles = uniqueSheetTitles(options.sheetTitles);
+    return createSpreadsheet(token, options.title, sheetTitles).then(
+      (spreadsheet) =>
+        spreadsheet.sheets.map((sheet) => ({
+          spreadsheetId: spreadsheet.spreadsheetId,
+          sheetTitle: sheet.properties.title,
+          isNew: true,
+        }))
+    );
+  },
+
+  /**
+   * Writes the listings to the target sheet, upserting by room ID into
+   * existing spreadsheets, and links the spreadsheet to the wishlist
+   * @param {string} token - The OAuth token
+   * @param {Object} target - The target returned by openTarget
+   * @param {Array} wishlistData - The wishlist data to save
+   * @param {Object} options - The wishlist ID and name, and optionally the columns to write
+   * @returns {Promise<Object>} A promise with whether rows were synced, the
+   *   stats, the number of rows in the sheet (header included) and its
+   *   header row
+   */
+  writeRows(token, target, wishlistData, options) {
+    console.log(
+      "Processing data for Sheets API:",
+      wishlistData.length,
+      "items"
+    );
+
+    const columns = options.columns || SHEET_COLUMNS;
+    const written = target.isNew
+      ? writeNewSpreadsheet(token, target, wishlistData, columns)
+      : syncSpreadsheet(
+          token,
+          target.spreadsheetId,
+          target.sheetTitle,
+          wishlistData,
+          columns
+        );
+
+    return written.then((result) =>
+      Promise.all([
+        linkSpreadsheet(options.wishlistId, {
+          spreadsheetId: target.spreadsheetId,
+          spreadsheetUrl: this.getTargetUrl(target),
+          sheetTitle: target.sheetTitle,
+          rankingSheetTitle: target.rankingSheetTitle,
+        }),
+        rememberRecentSpreadsheet(target, this.getTargetUrl(target)),
+      ]).then(() => result)
+    );
+  },
+
+  /**
+   * Appends a price snapshot to the History tab
+   * @param {string} token - The OAuth token
+   * @param {Object} target - The target returned by openTarget
+   * @param {Object} snapshot - The snapshot prepared by annotatePriceHistory
+   * @returns {Promise<void>} A promise that resolves once the snapshot is written
+   */
+  writeHistory(token, target, snapshot) {
+    return writeHistorySheet(token, target.spreadsheetId, snapshot);
+  },
+
+  /**
+   * Writes the Ranking tab scoring the rows of the target sheet (its own
+   * ranking tab when written into a spreadsheet chosen in the popup)
+   * @param {string} token - The OAuth token
+   * @param {Object} target - The target returned by openTarget
+   * @param {Object} options - The scoring criteria, the columns written, and
+   *   the header row and number of rows of the target sheet (as returned by
+   *   writeRows)
+   * @returns {Promise<void>} A promise that resolves once the tab is written
+   */
+  writeRanking(token, target, options) {
+    return writeRankingSheet(
+      token,
+      target.spreadsheetId,
+      target.sheetTitle,
+      target.rankingSheetTitle || RANKING_SHEET_TITLE,
+      options
+    );
+  },
+
+  /**
+   * Gets the URL of the spreadsheet
+   * @param {Object} target - The target returned by openTarget
+   * @returns {string} The spreadsheet URL
+   */
+  getTargetUrl(target) {
+    return `https://docs.google.com/spreadsheets/d/${target.spreadsheetId}`;
+  },
+});
+
+/**
+ * Opens a spreadsheet chosen in the popup and the tab to write the wishlist
+ * to, adding the tab if the spreadsheet does not have it yet. An existing tab
+ * is synced like a linked spreadsheet, so columns and rows added by the team
+ * are kept.
+ * @param {string} token - The OAuth token
+ * @param {Object} options - The spreadsheet URL or ID ("destination"), the tab
+ *   name ("sheetTitle", the wishlist name if empty) and the wishlist name
+ * @returns {Promise<Object>} A promise with the target (see openTarget)
+ */
+function openChosenSpreadsheet(token, options) {
+  const spreadsheetId = parseSpreadsheetId(options.destination);
+  if (!spreadsheetId) {
+    return Promise.reject(
+      new Error(
+        `"${options.destination}" is not a Google Sheets URL or spreadsheet ID.`
+      )
+    );
+  }
+
+  const sheetTitle =
+    String(options.sheetTitle || options.wishlistName || "Wishlist")
+      .trim()
+      .substring(0, SHEET_TITLE_MAX_LENGTH) || "Wishlist";
+  if (
+    [HISTORY_SHEET_TITLE, RANKING_SHEET_TITLE].some(
+      (title) => title.toLowerCase() === sheetTitle.toLowerCase()
+    )
+  ) {
+    return Promise.reject(
+      new Error(
+        `The "${sheetTitle}" tab is written by the extension. Please choose another tab name.`
+      )
+    );
+  }
+
+  console.log("Writing into chosen spreadsheet:", spreadsheetId, sheetTitle);
+  return fetch(
+    `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}?fields=properties.title,sheets.properties.title`,
+    {
+      method: "GET",
+      headers: {
+        Authorization: "Bearer " + token,
+        "Content-Type": "application/json",
+      },
+    }
+  )
+    .then(handleApiResponse)
+    .catch((error) => {
+      if (error.status === 403 || error.status === 404) {
+        throw new Error(
+          "Spreadsheet not found, or your Google account cannot edit it."
+        );
+      }
+      throw error;
+    })
+    .then((spreadsheetData) => {
+      // Sheets compares tab names case-insensitively
+      const existing = spreadsheetData.sheets.find(
+        (s) => s.properties.title.toLowerCase() === sheetTitle.toLowerCase()
+      );
+      const target = {
+        spreadsheetId: spreadsheetId,
+        spreadsheetTitle: spreadsheetData.properties.title,
+        sheetTitle: existing ? existing.properties.title : sheetTitle,
+        isNew: !existing,
+      };
+      target.rankingSheetTitle = rankingSheetTitleFor(target.sheetTitle);
+      if (existing) {
+        return target;
+      }
+
+      return ensureSheet(
+        token,
+        spreadsheetId,
+        sheetTitle,
+        WISHLIST_GRID_PROPERTIES
+      ).then(() => target);
+    });
+}
+
+/**
+ * Reads the spreadsheet ID from a Google Sheets URL, or takes a bare ID.
+ * URLs opened with another signed-in account have the account in the path
+ * (".../spreadsheets/u/1/d/<ID>").
+ * @param {string} destination - The URL or ID entered in the popup
+ * @returns {string|null} The spreadsheet ID, or null if there is none
+ */
+function parseSpreadsheetId(destination) {
+  const text = String(destination || "").trim();
+  const match = text.match(/\/spreadsheets\/(?:u\/\d+\/)?d\/([a-zA-Z0-9_-]+)/);
+  if (match) {
+    return match[1];
+  }
+  return /^[a-zA-Z0-9_-]{20,}$/.test(text) ? text : null;
+}
+
+/**
+ * Names the ranking tab of a wishlist tab in a spreadsheet shared by several
+ * wishlists, so each one is ranked on its own
+ * @param {string} sheetTitle - The title of the wishlist tab
+ * @returns {string} The title of its ranking tab
+ */
+function rankingSheetTitleFor(sheetTitle) {
+  return `${RANKING_SHEET_TITLE}: ${sheetTitle}`.substring(
+    0,
+    SHEET_TITLE_MAX_LENGTH
+  );
+}
+
+// Number of spreadsheets offered as recent destinations in the popup
+const RECENT_SPREADSHEETS_LIMIT = 5;
+
+/**
+ * Adds a spreadsheet to the recent destinations offered in the popup
+ * @param {Object} target - The target written to (see openTarget)
+ * @param {string} url - The spreadsheet URL
+ * @returns {Promise<void>} A promise that resolves once the list is stored
+ */
+function rememberRecentSpreadsheet(target, url) {
+  return new Promise((resolve) => {
+    // Linked spreadsheets are opened without reading their title
+    if (!target.spreadsheetTitle) {
+      resolve();
+      return;
+    }
+
+    chrome.storage.local.get(["recentSpreadsheets"], function (data) {
+      const recent = (data.recentSpreadsheets || []).filter(
+        (spreadsheet) => spreadsheet.spreadsheetId !== target.spreadsheetId
+      );
+      recent.unshift({
+        spreadsheetId: target.spreadsheetId,
+        title: target.spreadsheetTitle,
+        url: url,
+      });
+
+      chrome.storage.local.set(
+        { recentSpreadsheets: recent.slice(0, RECENT_SPREADSHEETS_LIMIT) },
+        function () {
+          if (chrome.runtime.lastError) {
+            // The export itself succeeded, so only log the failure
+            console.error(
+              "Error saving recent spreadsheets:",
+              chrome.runtime.lastError
+            );
+          }
+          resolve();
+        }
+      );
+    });
+  });
+}
+
+/**
+ * Looks up the spreadsheet previously linked to a wishlist
+ * @param {string|null} wishlistId - The Airbnb wishlist ID, or null to skip the lookup
+ * @returns {Promise<Object|null>} A promise that resolves with the linked spreadsheet info or null
+ */
+function getLinkedSpreadsheet(wishlistId) {
+  return new Promise((resolve) => {
+    if (!wishlistId) {
+      resolve(null);
+      return;
+    }
+
+    chrome.storage.local.get(["wishlistSpreadsheets"], function (data) {
+      if (chrome.runtime.lastError) {
+        console.error("Storage error:", chrome.runtime.lastError);
+        resolve(null);
+        return;
+      }
+
+      const links = data.wishlistSpreadsheets || {};
+      resolve(links[wishlistId] || null);
+    });
+  });
+}
+
+// Maximum length of a sheet title
+const SHEET_TITLE_MAX_LENGTH = 100;
+
+/**
+ * Makes sheet titles unique (Sheets compares them case-insensitively) by
+ * numbering duplicates, keeping the History tab's title free
+ * @param {Array} titles - The wanted sheet titles
+ * @returns {Array} The unique sheet titles, in the same order
+ */
+function uniqueSheetTitles(titles) {
+  const used = new Set([
+    HISTORY_SHEET_TITLE.toLowerCase(),
+    RANKING_SHEET_TITLE.toLowerCase(),
+  ]);
+
+  return titles.map((title) => {
+    const baseTitle =
+      String(title || "Wishlist")
+        .trim()
+        .substring(0, SHEET_TITLE_MAX_LENGTH - 5) || "Wishlist";
+    let uniqueTitle = baseTitle;
+    for (let number = 2; used.has(uniqueTitle.toLowerCase()); number++) {
+      uniqueTitle = `${baseTitle} (${number})`;
+    }
+    used.add(uniqueTitle.toLowerCase());
+    return uniqueTitle;
+  });
+}
+
+/**
+ * Remembers which spreadsheet belongs to a wishlist so later exports can sync into it
+ * @param {string} wishlistId - The Airbnb wishlist ID
+ * @param {Object} link - The spreadsheet ID and URL, and the titles of the
+ *   wishlist sheet and its ranking tab (if it has its own)
+ * @returns {Promise<void>} A promise that resolves once the link is stored
+ */
+function linkSpreadsheet(wishlistId, link) {
+  return new Promise((resolve) => {
+    if (!wishlistId) {
+      resolve();
+      return;
+    }
+
+    chrome.storage.local.get(["wishlistSpreadsheets"], function (data) {
+      const links = data.wishlistSpreadsheets || {};
+      links[wishlistId] = {
+        spreadsheetId: link.spreadsheetId,
+        spreadsheetUrl: link.spreadsheetUrl,
+        sheetTitle: link.sheetTitle,
+        rankingSheetTitle: link.rankingSheetTitle,
+        lastSyncedAt: new Date().toISOString(),
+      };
+
+      chrome.storage.local.set({ wishlistSpreadsheets: links }, function () {
+        if (chrome.runtime.lastError) {
+          // The export itself succeeded, so only log the failure
+          console.error("Error linking spreadsheet:", chrome.runtime.lastError);
+        }
+        resolve();
+      });
+    });
+  });
+}
+
+// Title of the tab that collects one row per listing and export
+const HISTORY_SHEET_TITLE = "History";
+
+/**
+ * Appends a price snapshot to the History tab, adding the tab if necessary
+ * @param {string} token - The OAuth token
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @param {Object} snapshot - The snapshot prepared by annotatePriceHistory
+ * @returns {Promise<void>} A promise that resolves once the snapshot is written
+ */
+function writeHistorySheet(token, spreadsheetId, snapshot) {
+  if (snapshot.entries.length === 0) {
+    return Promise.resolve();
+  }
+
+  // Sheets parses "YYYY-MM-DD HH:MM:SS" as a date-time value
+  const timestampCell = snapshot.timestamp.replace("T", " ").substring(0, 19);
+  const rows = snapshot.entries.map((entry) => [
+    timestampCell,
+    toTextCell(entry.roomId),
+    entry.propertyName,
+    entry.price,
+    entry.priceText,
+  ]);
+
+  return ensureSheet(token, spreadsheetId, HISTORY_SHEET_TITLE)
+    .then((created) => {
+      if (created) {
+        rows.unshift([
+          "Timestamp (UTC)",
+          "Room ID",
+          "Property Name",
+          "Total Price",
+          "Price Text",
+        ]);
+      }
+      return appendSpreadsheetData(
+        token,
+        spreadsheetId,
+        HISTORY_SHEET_TITLE,
+        rows
+      );
+    })
+    .catch((error) => {
+      // The main export already succeeded, so only log the failure
+      console.error("Error writing price history sheet:", error);
+    });
+}
+
+// Title of the tab scoring the listings with live formulas
+const RANKING_SHEET_TITLE = "Ranking";
+
+// Columns identifying a listing in the Ranking tab, when the data sheet has them
+const RANKING_LABEL_HEADERS = ["Property Name", "Wishlist"];
+
+/**
+ * Writes the Ranking tab: a weights table the user can edit and one row per
+ * listing with formulas referencing the data sheet. Each criterion is scaled
+ * from 0 (worst listing) to 1 (best), and the score is the weighted average
+ * in percent, so editing a weight or direction re-ranks every listing.
+ * Weights already edited in the tab are kept over the saved ones.
+ * @param {string} token - The OAuth token
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @param {string} dataSheetTitle - The title of the sheet holding the listings
+ * @param {string} rankingSheetTitle - The title of the ranking tab
+ * @param {Object} options - The scoring criteria, the columns written to
+ *   the data sheet, and its header row and number of rows (header included)
+ * @returns {Promise<void>} A promise that resolves once the tab is written
+ */
+function writeRankingSheet(
+  token,
+  spreadsheetId,
+  dataSheetTitle,
+  rankingSheetTitle,
+  options
+) {
+  const headers = options.headers;
+  // Criteria are scored under the headers the columns are exported under
+  const criteria = options.criteria
+    .map((criterion) =>
+      Object.assign({}, criterion, {
+        header: columnHeader(options.columns, criterion.header),
+      })
+    )
+    .filter((criterion) => headers.includes(criterion.header));
+  if (criteria.length === 0 || options.rowCount < 2) {
+    return Promise.resolve();
+  }
+
+  return ensureSheet(token, spreadsheetId, rankingSheetTitle)
+    .then((created) =>
+      created
+        ? []
+        : getSpreadsheetValues(token, spreadsheetId, rankingSheetTitle)
+    )
+    .then((existingValues) => {
+      const values = buildRankingValues(
+        dataSheetTitle,
+        headers,
+        mergeSheetWeights(criteria, existingValues),
+        options.rowCount,
+        options.columns
+      );
+      return updateSpreadsheet(
+        token,
+        spreadsheetId,
+        values,
+        rankingSheetTitle
+      ).then((sheet) =>
+        batchUpdateSpreadsheet(
+          token,
+          spreadsheetId,
+          buildRankingFormatRequests(sheet, criteria.length, values.length)
+        )
+      );
+    })
+    .catch((error) => {
+      // The main export already succeeded, so only log the failure
+      console.error("Error writing ranking sheet:", error);
+    });
+}
+
+/**
+ * Takes the weights and directions edited in an existing Ranking tab over
+ * the saved ones
+ * @param {Array} criteria - The scoring criteria
+ * @param {Array} existingValues - The values of the Ranking tab, empty if new
+ * @returns {Array} The criteria with the weights from the tab
+ */
+function mergeSheetWeights(criteria, existingValues) {
+  const sheetWeights = {};
+  // The weights table ends at the first empty row
+  for (const row of existingValues.slice(1)) {
+    if (!row[0]) {
+      break;
+    }
+    sheetWeights[row[0]] = { weight: row[1], direction: row[2] };
+  }
+
+  return criteria.map((criterion) => {
+    const edited = sheetWeights[criterion.header];
+    if (!edited) {
+      return criterion;
+    }
+    return {
+      header: criterion.header,
+      weight: isValidWeight(edited.weight) ? edited.weight : criterion.weight,
+      direction: SCORING_DIRECTIONS.includes(edited.direction)
+        ? edited.direction
+        : criterion.direction,
+    };
+  });
+}
+
+/**
+ * Builds the values of the Ranking tab: the weights table, then a rank, the
+ * listing's labels, its score and its criteria values per data row
+ * @param {string} dataSheetTitle - The title of the sheet holding the listings
+ * @param {Array} headers - The headers of the data sheet
+ * @param {Array} criteria - The scoring criteria found in the data sheet
+ * @param {number} rowCount - The number of rows of the data sheet, header included
+ * @param {Array} columns - The columns written to the data sheet
+ * @returns {Array} The values to write, padded to the same width
+ */
+function buildRankingValues(
+  dataSheetTitle,
+  headers,
+  criteria,
+  rowCount,
+  columns
+) {
+  const dataSheet = quoteSheetTitle(dataSheetTitle) + "!";
+  const dataCell = (header, row) =>
+    dataSheet + columnLetter(headers.indexOf(header)) + row;
+  const labelHeaders = RANKING_LABEL_HEADERS.map((header) =>
+    columnHeader(columns, header)
+  ).filter((header) => headers.includes(header));
+
+  // Listings no longer on the wishlist are left out of the ranking
+  const statusHeader = columnHeader(columns, "Status");
+  const isRemoved = (row) =>
+    headers.includes(statusHeader)
+      ? `${dataCell(statusHeader, row)}="${REMOVED_STATUS}"`
+      : "FALSE";
+
+  const weightRows = criteria.map((criterion) => [
+    criterion.header,
+    criterion.weight,
+    criterion.direction,
+  ]);
+  const weightsEnd = weightRows.length + 1;
+  const tableHeader = ["Rank", ...labelHeaders, "Score"].concat(
+    criteria.map((criterion) => criterion.header)
+  );
+  const scoreColumn = columnLetter(labelHeaders.length + 1);
+  const firstValueIndex = labelHeaders.length + 2;
+  const firstRow = weightsEnd + 3;
+  const lastRow = firstRow + rowCount - 2;
+
+  const listingRows = [];
+  for (let dataRow = 2; dataRow <= rowCount; dataRow++) {
+    const row = firstRow + dataRow - 2;
+
+    // Each criterion scaled from 0 (worst listing) to 1 (best)
+    const scaled = criteria.map((criterion, index) => {
+      const column = columnLetter(firstValueIndex + index);
+      const cell = column + row;
+      const range = `${column}$${firstRow}:${column}$${lastRow}`;
+      return (
+        `$B$${index + 2}*IF(ISNUMBER(${cell}),` +
+        `IF($C$${
+          index + 2
+        }="lower",MAX(${range})-${cell},${cell}-MIN(${range}))` +
+        `/MAX(MAX(${range})-MIN(${range}),0.000001),0)`
+      );
+    });
+
+    listingRows.push(
+      [
+        `=IF(ISNUMBER(${scoreColumn}${row}),RANK(${scoreColumn}${row},${scoreColumn}$${firstRow}:${scoreColumn}$${lastRow}),"")`,
+        ...labelHeaders.map((header) => `=${dataCell(header, dataRow)}&""`),
+        `=IF(${isRemoved(dataRow)},"",IFERROR(ROUND(100*(${scaled.join(
+          "+"
+        )})/SUM($B$2:$B$${weightsEnd}),1),""))`,
+      ].concat(
+        criteria.map(
+          (criterion) =>
+            `=IF(OR(${isRemoved(dataRow)},${dataCell(
+              criterion.header,
+              dataRow
+            )}=""),"",${dataCell(criterion.header, dataRow)})`
+        )
+      )
+    );
+  }
+
+  const values = [
+    ["Criterion", "Weight", "Better when"],
+    ...weightRows,
+    [],
+    tableHeader,
+    ...listingRows,
+  ];
+  const width = Math.max(...values.map((row) => row.length));
+  return values.map((row) => row.concat(Array(width - row.length).fill("")));
+}
+
+/**
+ * Builds the batchUpdate requests formatting the Ranking tab: bold headers,
+ * a dropdown for the directions, one decimal for scores and auto-sized columns
+ * @param {Object} sheet - The Ranking sheet as returned by the spreadsheet GET
+ * @param {number} criteriaCount - The number of criteria in the weights table
+ * @param {number} rowCount - The number of rows written
+ * @returns {Array} The batchUpdate requests
+ */
+function buildRankingFormatRequests(sheet, criteriaCount, rowCount) {
+  const sheetId = sheet.properties.sheetId;
+  const tableHeaderRow = criteriaCount + 2;
+  const boldRow = (rowIndex) => ({
+    repeatCell: {
+      range: {
+        sheetId: sheetId,
+        startRowIndex: rowIndex,
+        endRowIndex: rowIndex + 1,
+      },
+      cell: { userEnteredFormat: { textFormat: { bold: true } } },
+      fields: "userEnteredFormat.textFormat.bold",
+    },
+  });
+
+  return [
+    boldRow(0),
+    boldRow(tableHeaderRow),
+    {
+      setDataValidation: {
+        range: {
+          sheetId: sheetId,
+          startRowIndex: 1,
+          endRowIndex: criteriaCount + 1,
+          startColumnIndex: 2,
+          endColumnIndex: 3,
+        },
+        rule: {
+          condition: {
+            type: "ONE_OF_LIST",
+            values: SCORING_DIRECTIONS.map((direction) => ({
+              userEnteredValue: direction,
+            })),
+          },
+          strict: true,
+          showCustomUi: true,
+        },
+      },
+    },
+    {
+      repeatCell: {
+        range: {
+          sheetId: sheetId,
+          startRowIndex: tableHeaderRow + 1,
+          endRowIndex: rowCount,
+        },
+        cell: {
+          userEnteredFormat: {
+            numberFormat: { type: "NUMBER", pattern: "0.##" },
+          },
+        },
+        fields: "userEnteredFormat.numberFormat",
+      },
+    },
+    {
+      autoResizeDimensions: {
+        dimensions: { sheetId: sheetId, dimension: "COLUMNS" },
+      },
+    },
+  ];
+}
+
+/**
+ * Handles API responses, checking for errors
+ * @param {Response} response - The fetch API response
+ * @returns {Promise<Object>} A promise that resolves with the JSON data
+ */
+function handleApiResponse(response) {
+  if (!response.ok) {
+    return response
+      .json()
+      .then((data) => {
+        const errorMessage =
+          data.error?.message ||
+          response.statusText ||
+          `HTTP Error ${response.status}`;
+        const apiError = new Error(errorMessage);
+        apiError.status = response.status;
+        throw apiError;
+      })
+      .catch((error) => {
+        // If JSON parsing fails, throw the original HTTP error
+        if (error instanceof SyntaxError) {
+          const httpError = new Error(
+            `HTTP Error ${response.status}: ${response.statusText}`
+          );
+          httpError.status = response.status;
+          throw httpError;
+        }
+        throw error;
+      });
+  }
+  return response.json();
+}
+
+// Grid of the wishlist sheets: the header row stays visible when scrolling
+const WISHLIST_GRID_PROPERTIES = { frozenRowCount: 1 };
+
+/**
+ * Creates a new Google Spreadsheet
+ * @param {string} token - The OAuth token
+ * @param {string} title - The title of the spreadsheet (see formatSpreadsheetTitle)
+ * @param {Array} sheetTitles - The titles of the sheets to add
+ * @returns {Promise<Object>} A promise that resolves with the created spreadsheet data
+ */
+function createSpreadsheet(token, title, sheetTitles) {
+  console.log("Creating new spreadsheet:", title);
+
+  return fetch("https://sheets.googleapis.com/v4/spreadsheets", {
+    method: "POST",
+    headers: {
+      Authorization: "Bearer " + token,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      properties: {
+        title: title,
+      },
+      sheets: sheetTitles.map((sheetTitle) => ({
+        properties: {
+          title: sheetTitle,
+          gridProperties: WISHLIST_GRID_PROPERTIES,
+        },
+      })),
+    }),
+  })
+    .then(handleApiResponse)
+    .then((data) => {
+      console.log("Spreadsheet created successfully:", data);
+      return data;
+    });
+}
+
+// Status written for listings that are no longer on the wishlist
+const REMOVED_STATUS = "Removed";
+
+// Symbols used in currency number formats
+const CURRENCY_SYMBOLS = {
+  EUR: "€",
+  USD: "$",
+  GBP: "£",
+  CHF: "CHF",
+  CAD: "CA$",
+  AUD: "A$",
+  NZD: "NZ$",
+  MXN: "MX$",
+  BRL: "R$",
+  PLN: "zł",
+  JPY: "¥",
+  INR: "₹",
+};
+
+// Number formats applied to the data rows of formatted columns, given the
+// currency code and the column
+const COLUMN_NUMBER_FORMATS = {
+  currency: (currency) => ({
+    type: "CURRENCY",
+    pattern: `[$${CURRENCY_SYMBOLS[currency] || currency || "€"}]#,##0.00`,
+  }),
+  date: (currency, column) => ({
+    type: "DATE",
+    pattern: column.dateFormat || "yyyy-mm-dd",
+  }),
+  number: () => ({ type: "NUMBER", pattern: "#,##0" }),
+  rating: () => ({ type: "NUMBER", pattern: "0.00" }),
+  // "Change %" holds percentage points (5.3 means +5.3 %)
+  percent: () => ({ type: "NUMBER", pattern: '+0.0"%";-0.0"%";0"%"' }),
+  text: () => ({ type: "TEXT" }),
+};
+
+/**
+ * Writes all listings to a newly created spreadsheet
+ * @param {string} token - The OAuth token
+ * @param {Object} target - The target returned by openTarget
+ * @param {Array} wishlistData - The wishlist data to save
+ * @param {Array} columns - The columns to write
+ * @returns {Promise<Object>} A promise with whether rows were synced and the stats
+ */
+function writeNewSpreadsheet(token, target, wishlistData, columns) {
+  // Format data for Sheets API
+  const values = [columns.map((column) => column.header)];
+
+  // Add data rows
+  wishlistData.forEach((item) => {
+    values.push(buildSheetRow(item, columns));
+  });
+
+  const layout = buildColumnLayout([], columns);
+  return writeWishlistSheet(
+    token,
+    target.spreadsheetId,
+    values,
+    target.sheetTitle,
+    wishlistData,
+    columns,
+    layout
+  ).then(() => ({
+    synced: false,
+    stats: { added: wishlistData.length, updated: 0, removed: 0 },
+    rowCount: values.length,
+    headers: layout.headers,
+  }));
+}
+
+/**
+ * Checks whether a spreadsheet still exists
+ * @param {string} token - The OAuth token
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @returns {Promise<boolean>} A promise that resolves with false if the spreadsheet is gone
+ */
+function spreadsheetExists(token, spreadsheetId) {
+  return fetch(
+    `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}?fields=spreadsheetId`,
+    {
+      method: "GET",
+      headers: {
+        Authorization: "Bearer " + token,
+        "Content-Type": "application/json",
+      },
+    }
+  )
+    .then(handleApiResponse)
+    .then(() => true)
+    .catch((error) => {
+      if (error.status === 404) {
+        return false;
+      }
+      throw error;
+    });
+}
+
+/**
+ * Upserts wishlist data into an existing spreadsheet, keyed by Airbnb room ID.
+ * Known listings are updated in place, new ones are appended and listings that
+ * left the wishlist are kept but marked as removed. Only the extension's own
+ * columns are written, so columns added by the user, notes and formatting
+ * stay with their rows.
+ * @param {string} token - The OAuth token
+ * @param {string} spreadsheetId - The ID of the spreadsheet to sync
+ * @param {string} sheetTitle - The title of the sheet holding the wishlist
+ * @param {Array} wishlistData - The wishlist data to save
+ * @param {Array} columns - The columns to write
+ * @returns {Promise<Object>} A promise with whether rows were synced and the stats
+ */
+function syncSpreadsheet(
+  token,
+  spreadsheetId,
+  sheetTitle,
+  wishlistData,
+  columns
+) {
+  // The tab may have been deleted or renamed since the last export
+  return ensureSheet(token, spreadsheetId, sheetTitle, WISHLIST_GRID_PROPERTIES)
+    .then((created) =>
+      created ? [] : getSpreadsheetValues(token, spreadsheetId, sheetTitle)
+    )
+    .then((existingValues) => {
+      const merged = mergeWishlistRows(existingValues, wishlistData, columns);
+      const layout = buildColumnLayout(existingValues, columns);
+      console.log("Merged rows for sync:", merged.stats);
+
+      return writeWishlistSheet(
+        token,
+        spreadsheetId,
+        merged.values,
+        sheetTitle,
+        wishlistData,
+        columns,
+        layout
+      ).then(() => ({
+        synced: true,
+        stats: merged.stats,
+        rowCount: merged.values.length,
+        headers: layout.headers,
+      }));
+    });
+}
+
+/**
+ * Places the extension's columns in a sheet. They are recognised by header
+ * (see findExistingColumn): columns already in the sheet stay where they are
+ * and new ones are added to the right of everything the sheet holds. Any
+ * other column belongs to the user and is never written.
+ * @param {Array} existingValues - The current sheet values, header row first
+ *   (empty for a new sheet)
+ * @param {Array} columns - The extension's columns
+ * @returns {Object} The sheet column index of each column, the width of the
+ *   table and its header row, user columns included
+ */
+function buildColumnLayout(existingValues, columns) {
+  const existingHeaders = existingValues[0] || [];
+  let width = existingValues.reduce(
+    (widest, row) => Math.max(widest, row.length),
+    0
+  );
+  const columnIndexes = columns.map((column) => {
+    const index = findExistingColumn(existingHeaders, column);
+    return index >= 0 ? index : width++;
+  });
+
+  const headers = [];
+  for (let index = 0; index < width; index++) {
+    headers.push(existingHeaders[index] ?? "");
+  }
+  columns.forEach((column, index) => {
+    headers[columnIndexes[index]] = column.header;
+  });
+
+  return { columnIndexes: columnIndexes, width: width, headers: headers };
+}
+
+/**
+ * Finds one of the extension's columns among the headers of a sheet: by its
+ * header, or by a header it had before being renamed on the options page
+ * (the header is then updated in place)
+ * @param {Array} existingHeaders - The header row of the sheet
+ * @param {Object} column - The column
+ * @returns {number} The index of the column in the sheet, or -1
+ */
+function findExistingColumn(existingHeaders, column) {
+  const headers = [column.header].concat(column.formerHeaders || []);
+  for (const header of headers) {
+    const index = existingHeaders.indexOf(header);
+    if (index >= 0) {
+      return index;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Writes the wishlist rows to the extension's columns of a sheet and applies
+ * the formatting pass
+ * @param {string} token - The OAuth token
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @param {Array} values - The values to write, header row first
+ * @param {string} sheetTitle - The title of the sheet
+ * @param {Array} wishlistData - The wishlist data, used to pick the currency
+ * @param {Array} columns - The columns of the values, used for the formatting
+ * @param {Object} layout - Where the columns go (see buildColumnLayout)
+ * @returns {Promise<Object>} A promise with the formatting result
+ */
+function writeWishlistSheet(
+  token,
+  spreadsheetId,
+  values,
+  sheetTitle,
+  wishlistData,
+  columns,
+  layout
+) {
+  const cells = toSheetCells(values, columns, layout.columnIndexes);
+
+  return getSheet(token, spreadsheetId, sheetTitle).then((sheet) =>
+    updateSheetColumns(
+      token,
+      spreadsheetId,
+      sheetTitle,
+      cells,
+      layout.columnIndexes
+    ).then(() => {
+      const currency = getPrimaryCurrency(wishlistData);
+      console.log("Formatting sheet for currency:", currency);
+      return batchUpdateSpreadsheet(
+        token,
+        spreadsheetId,
+        buildFormatRequests(sheet, columns, layout, values.length, currency)
+      );
+    })
+  );
+}
+
+/**
+ * Converts row values to the cells written with USER_ENTERED: text columns
+ * get a leading apostrophe, otherwise Sheets parses digit-only values such as
+ * room IDs as (rounded) numbers, linked columns become HYPERLINK formulas,
+ * image columns IMAGE formulas and tally columns COUNTIF formulas. Images are
+ * built from their URL column, since image cells read back empty when syncing.
+ * @param {Array} values - The values to write, header row first
+ * @param {Array} columns - The columns of the values
+ * @param {Array} columnIndexes - The sheet column index of each column
+ * @returns {Array} The cells to write, header row first
+ */
+function toSheetCells(values, columns, columnIndexes) {
+  const headers = columns.map((column) => column.header);
+  const linkIndexes = columns.map((column) =>
+    column.linkTo ? headers.indexOf(column.linkTo) : -1
+  );
+  const imageIndexes = columns.map((column) =>
+    column.imageFrom ? headers.indexOf(column.imageFrom) : -1
+  );
+  const tallyIndexes = columns.map((column) =>
+    (column.tallyOf || [])
+      .map((header) => headers.indexOf(header))
+      .filter((index) => index >= 0)
+      .map((index) => columnIndexes[index])
+  );
+
+  return values.map((row, rowIndex) => {
+    if (rowIndex === 0) {
+      return row;
+    }
+    return row.map((value, index) => {
+      if (columns[index].format === "text") {
+        return toTextCell(value);
+      }
+      if (columns[index].tallyOf) {
+        return toTallyCell(tallyIndexes[index], rowIndex + 1);
+      }
+      if (columns[index].imageFrom) {
+        // Without its URL column, the photo comes from the cell itself
+        const urls =
+          imageIndexes[index] >= 0 ? row[imageIndexes[index]] : value;
+        const imageUrl = String(urls || "").split("\n")[0];
+        return imageUrl ? toImageCell(imageUrl) : "";
+      }
+      const link = linkIndexes[index] >= 0 ? row[linkIndexes[index]] : "";
+      return link && value !== "" ? toHyperlinkCell(link, value) : value;
+    });
+  });
+}
+
+/**
+ * Builds a HYPERLINK formula showing a value and linking to a URL
+ * @param {string} url - The URL to link to
+ * @param {*} value - The value to show
+ * @returns {string} The formula
+ */
+function toHyperlinkCell(url, value) {
+  const quote = (text) => `"${String(text).replace(/"/g, '""')}"`;
+  return `=HYPERLINK(${quote(url)},${quote(value)})`;
+}
+
+/**
+ * Builds a formula counting the "yes" votes of a row (case-insensitive, so
+ * "Yes, love the view" counts too)
+ * @param {Array} columnIndexes - The sheet column indexes of the vote columns
+ * @param {number} rowNumber - The one-based row number
+ * @returns {string|number} The COUNTIF formula, or 0 without vote columns
+ */
+function toTallyCell(columnIndexes, rowNumber) {
+  if (columnIndexes.length === 0) {
+    return 0;
+  }
+  return (
+    "=" +
+    columnIndexes
+      .map((index) => `COUNTIF(${columnLetter(index)}${rowNumber},"yes*")`)
+      .join("+")
+  );
+}
+
+/**
+ * Builds an IMAGE formula showing a picture in its cell
+ * @param {string} url - The URL of the image
+ * @returns {string} The formula
+ */
+function toImageCell(url) {
+  return `=IMAGE("${String(url).replace(/"/g, '""')}")`;
+}
+
+// Row height and image column width in pixels when the sheet shows photos
+const IMAGE_ROW_HEIGHT = 100;
+const IMAGE_COLUMN_WIDTH = 150;
+
+// Rows with a rating below this are highlighted in red
+const LOW_RATING_THRESHOLD = 4.5;
+
+// Colors of the formatting pass
+const SHEET_COLORS = {
+  header: { red: 0.9, green: 0.9, blue: 0.9 },
+  firstBand: { red: 1, green: 1, blue: 1 },
+  secondBand: { red: 0.96, green: 0.96, blue: 0.96 },
+  cheap: { red: 0.85, green: 0.92, blue: 0.83 },
+  lowRating: { red: 0.96, green: 0.8, blue: 0.8 },
+};
+
+/**
+ * Builds the batchUpdate requests formatting a wishlist sheet: bold header,
+ * number formats, a filter on the header, alternating row colors, highlights
+ * for the cheapest quarter of nightly prices and for ratings below 4.5,
+ * auto-sized columns, and taller rows for the photos. The banding and
+ * highlights of earlier exports are replaced, so syncing does not stack them.
+ * Only the extension's columns are styled: columns the user added keep their
+ * formatting, and the user's own banding is never covered. The filter is
+ * added once over the extension's columns; after that it keeps the range and
+ * criteria the user gave it and only grows to new rows.
+ * @param {Object} sheet - The sheet as returned by the spreadsheet GET
+ * @param {Array} columns - The extension's columns
+ * @param {Object} layout - Where the columns are (see buildColumnLayout)
+ * @param {number} rowCount - The number of rows written, header included
+ * @param {string} currency - The currency code for the currency formats
+ * @returns {Array} The batchUpdate requests
+ */
+function buildFormatRequests(sheet, columns, layout, rowCount, currency) {
+  const sheetId = sheet.properties.sheetId;
+  const headers = columns.map((column) => column.header);
+  const sheetIndex = (header) =>
+    headers.includes(header)
+      ? layout.columnIndexes[headers.indexOf(header)]
+      : -1;
+  const runs = groupColumnRuns(
+    layout.columnIndexes.slice().sort((a, b) => a - b)
+  );
+  const runRange = (run) => ({
+    sheetId: sheetId,
+    startRowIndex: 0,
+    endRowIndex: rowCount,
+    startColumnIndex: run.start,
+    endColumnIndex: run.end,
+  });
+  const requests = removeOwnFormatting(sheet);
+
+  runs.forEach((run) => {
+    requests.push({
+      repeatCell: {
+        range: Object.assign(runRange(run), { endRowIndex: 1 }),
+        cell: { userEnteredFormat: { textFormat: { bold: true } } },
+        fields: "userEnteredFormat.textFormat.bold",
+      },
+    });
+  });
+
+  columns.forEach((column, index) => {
+    if (!column.format) {
+      return;
+    }
+    const columnIndex = layout.columnIndexes[index];
+    requests.push({
+      repeatCell: {
+        range: {
+          sheetId: sheetId,
+          startRowIndex: 1,
+          startColumnIndex: columnIndex,
+          endColumnIndex: columnIndex + 1,
+        },
+        cell: {
+          userEnteredFormat: {
+            numberFormat: COLUMN_NUMBER_FORMATS[column.format](
+              currency,
+              column
+            ),
+          },
+        },
+        fields: "userEnteredFormat.numberFormat",
+      },
+    });
+  });
+
+  const filter = buildFilterRequest(sheet, runs, rowCount);
+  if (filter) {
+    requests.push(filter);
+  }
+
+  // Banded ranges cannot overlap, so runs under the user's banding keep it
+  const userBandings = (sheet.bandedRanges || []).filter(
+    (bandedRange) => !isOwnBanding(bandedRange)
+  );
+  runs
+    .filter(
+      (run) =>
+        !userBandings.some((bandedRange) =>
+          rangesOverlap(bandedRange.range, runRange(run))
+        )
+    )
+    .forEach((run) => {
+      requests.push({
+        addBanding: {
+          bandedRange: {
+            range: runRange(run),
+            rowProperties: {
+              headerColor: SHEET_COLORS.header,
+              firstBandColor: SHEET_COLORS.firstBand,
+              secondBandColor: SHEET_COLORS.secondBand,
+            },
+          },
+        },
+      });
+    });
+
+  // Highlights only make sense with listing rows below the header
+  const priceIndex = sheetIndex(columnHeader(columns, "Price per Night"));
+  if (rowCount > 1 && priceIndex >= 0) {
+    const column = columnLetter(priceIndex);
+    requests.push(
+      buildHighlightRequest(
+        sheetId,
+        priceIndex,
+        rowCount,
+        `=AND(ISNUMBER(${column}2),${column}2<=PERCENTILE(${column}$2:${column}$${rowCount},0.25))`,
+        SHEET_COLORS.cheap
+      )
+    );
+  }
+
+  const ratingIndex = sheetIndex(columnHeader(columns, "Rating"));
+  if (rowCount > 1 && ratingIndex >= 0) {
+    const column = columnLetter(ratingIndex);
+    requests.push(
+      buildHighlightRequest(
+        sheetId,
+        ratingIndex,
+        rowCount,
+        `=AND(ISNUMBER(${column}2),${column}2<${LOW_RATING_THRESHOLD})`,
+        SHEET_COLORS.lowRating
+      )
+    );
+  }
+
+  runs.forEach((run) => {
+    requests.push({
+      autoResizeDimensions: {
+        dimensions: {
+          sheetId: sheetId,
+          dimension: "COLUMNS",
+          startIndex: run.start,
+          endIndex: run.end,
+        },
+      },
+    });
+  });
+
+  // After auto-sizing, which would shrink the image columns
+  const imageIndexes = columns
+    .map((column, index) =>
+      column.imageFrom ? layout.columnIndexes[index] : -1
+    )
+    .filter((index) => index >= 0);
+  if (rowCount > 1 && imageIndexes.length > 0) {
+    requests.push(
+      buildDimensionSizeRequest(sheetId, "ROWS", 1, rowCount, IMAGE_ROW_HEIGHT)
+    );
+    imageIndexes.forEach((index) => {
+      requests.push(
+        buildDimensionSizeRequest(
+          sheetId,
+          "COLUMNS",
+          index,
+          index + 1,
+          IMAGE_COLUMN_WIDTH
+        )
+      );
+    });
+  }
+
+  return requests;
+}
+
+/**
+ * Builds a request setting the size of rows or columns
+ * @param {number} sheetId - The ID of the sheet
+ * @param {string} dimension - "ROWS" or "COLUMNS"
+ * @param {number} startIndex - The first zero-based index
+ * @param {number} endIndex - The index after the last one
+ * @param {number} pixelSize - The height or width in pixels
+ * @returns {Object} The updateDimensionProperties request
+ */
+function buildDimensionSizeRequest(
+  sheetId,
+  dimension,
+  startIndex,
+  endIndex,
+  pixelSize
+) {
+  return {
+    updateDimensionProperties: {
+      range: {
+        sheetId: sheetId,
+        dimension: dimension,
+        startIndex: startIndex,
+        endIndex: endIndex,
+      },
+      properties: { pixelSize: pixelSize },
+      fields: "pixelSize",
+    },
+  };
+}
+
+/**
+ * Builds a conditional format request coloring the data cells of a column
+ * for which a formula is true
+ * @param {number} sheetId - The ID of the sheet
+ * @param {number} columnIndex - The zero-based column index
+ * @param {number} rowCount - The number of rows, header included
+ * @param {string} formula - The custom formula, relative to the first data cell
+ * @param {Object} color - The background color
+ * @returns {Object} The addConditionalFormatRule request
+ */
+function buildHighlightRequest(sheetId, columnIndex, rowCount, formula, color) {
+  return {
+    addConditionalFormatRule: {
+      index: 0,
+      rule: {
+        ranges: [
+          {
+            sheetId: sheetId,
+            startRowIndex: 1,
+            endRowIndex: rowCount,
+            startColumnIndex: columnIndex,
+            endColumnIndex: columnIndex + 1,
+          },
+        ],
+        booleanRule: {
+          condition: {
+            type: "CUSTOM_FORMULA",
+            values: [{ userEnteredValue: formula }],
+          },
+          format: { backgroundColor: color },
+        },
+      },
+    },
+  };
+}
+
+// Formulas of the highlights added by buildFormatRequests
+const OWN_HIGHLIGHT_PATTERN =
+  /^=AND\(ISNUMBER\([A-Z]+2\),[A-Z]+2<(?:=PERCENTILE\(|[\d.]+\)$)/;
+
+/**
+ * Builds the request adding the filter on the header row: over the
+ * extension's columns for a sheet without a filter, or growing an existing
+ * filter to the new rows while keeping its columns and criteria
+ * @param {Object} sheet - The sheet as returned by the spreadsheet GET
+ * @param {Array} runs - The runs of the extension's columns, in sheet order
+ * @param {number} rowCount - The number of rows written, header included
+ * @returns {Object|null} The setBasicFilter request, or null if the filter
+ *   already covers every row
+ */
+function buildFilterRequest(sheet, runs, rowCount) {
+  const existing = sheet.basicFilter;
+  if (!existing) {
+    return {
+      setBasicFilter: {
+        filter: {
+          range: {
+            sheetId: sheet.properties.sheetId,
+            startRowIndex: 0,
+            endRowIndex: rowCount,
+            startColumnIndex: runs[0].start,
+            endColumnIndex: runs[runs.length - 1].end,
+          },
+        },
+      },
+    };
+  }
+
+  // A filter without an end row covers the whole sheet
+  if (
+    existing.range.endRowIndex === undefined ||
+    existing.range.endRowIndex >= rowCount
+  ) {
+    return null;
+  }
+  const filter = Object.assign({}, existing, {
+    range: Object.assign({}, existing.range, { endRowIndex: rowCount }),
+  });
+  // The GET may return the deprecated criteria next to filterSpecs, but only
+  // one of them can be set
+  if (filter.filterSpecs) {
+    delete filter.criteria;
+  }
+  return { setBasicFilter: { filter: filter } };
+}
+
+/**
+ * Checks whether a banded range was added by an export: it starts on the
+ * header row and uses the extension's colors
+ * @param {Object} bandedRange - The banded range from the spreadsheet GET
+ * @returns {boolean} True if the extension added it
+ */
+function isOwnBanding(bandedRange) {
+  const properties = bandedRange.rowProperties || {};
+  // The API leaves out zero values, in indexes and colors alike
+  const sameColor = (color, expected) =>
+    Boolean(color) &&
+    ["red", "green", "blue"].every(
+      (channel) =>
+        Math.abs((color[channel] || 0) - (expected[channel] || 0)) < 0.01
+    );
+  return (
+    !bandedRange.range.startRowIndex &&
+    sameColor(properties.headerColor, SHEET_COLORS.header) &&
+    sameColor(properties.firstBandColor, SHEET_COLORS.firstBand) &&
+    sameColor(properties.secondBandColor, SHEET_COLORS.secondBand)
+  );
+}
+
+/**
+ * Checks whether two grid ranges share a cell (missing indexes are open
+ * ends, as returned by the API)
+ * @param {Object} a - The first range
+ * @param {Object} b - The second range
+ * @returns {boolean} True if the ranges overlap
+ */
+function rangesOverlap(a, b) {
+  const overlaps = (start, end) => {
+    const from = Math.max(a[start] || 0, b[start] || 0);
+    const to = Math.min(
+      a[end] === undefined ? Infinity : a[end],
+      b[end] === undefined ? Infinity : b[end]
+    );
+    return from < to;
+  };
+  return (
+    overlaps("startRowIndex", "endRowIndex") &&
+    overlaps("startColumnIndex", "endColumnIndex")
+  );
+}
+
+/**
+ * Builds the requests removing the banding and highlights an earlier export
+ * added to a sheet, leaving the user's own rules alone
+ * @param {Object} sheet - The sheet as returned by the spreadsheet GET
+ * @returns {Array} The deleteBanding and deleteConditionalFormatRule requests
+ */
+function removeOwnFormatting(sheet) {
+  const requests = [];
+
+  (sheet.bandedRanges || []).forEach((bandedRange) => {
+    if (isOwnBanding(bandedRange)) {
+      requests.push({
+        deleteBanding: { bandedRangeId: bandedRange.bandedRangeId },
+      });
+    }
+  });
+
+  // Delete from the last rule so the indexes of the others stay valid
+  (sheet.conditionalFormats || [])
+    .map((rule, index) => ({ rule: rule, index: index }))
+    .filter(({ rule }) => {
+      const condition = rule.booleanRule && rule.booleanRule.condition;
+      const formula =
+        condition &&
+        condition.type === "CUSTOM_FORMULA" &&
+        condition.values[0].userEnteredValue;
+      return Boolean(formula) && OWN_HIGHLIGHT_PATTERN.test(formula);
+    })
+    .reverse()
+    .forEach(({ index }) => {
+      requests.push({
+        deleteConditionalFormatRule: {
+          sheetId: sheet.properties.sheetId,
+          index: index,
+        },
+      });
+    });
+
+  return requests;
+}
+
+/**
+ * Marks a value as text for USER_ENTERED writes
+ * @param {*} value - The cell value
+ * @returns {string} The value with a leading apostrophe, or an empty string
+ */
+function toTextCell(value) {
+  return value === "" || value === null || value === undefined
+    ? ""
+    : "'" + value;
+}
+
+/**
+ * Finds the currency most listings are priced in
+ * @param {Array} wishlistData - The wishlist data
+ * @returns {string} The most common currency code, or an empty string
+ */
+function getPrimaryCurrency(wishlistData) {
+  const counts = {};
+  let primary = "";
+  wishlistData.forEach((item) => {
+    if (!item.currency) {
+      return;
+    }
+    counts[item.currency] = (counts[item.currency] || 0) + 1;
+    if (!primary || counts[item.currency] > counts[primary]) {
+      primary = item.currency;
+    }
+  });
+  return primary;
+}
+
+/**
+ * Merges freshly extracted listings into the rows already in the sheet
+ * @param {Array} existingValues - The current sheet values, header row first
+ * @param {Array} wishlistData - The freshly extracted wishlist data
+ * @param {Array} columns - The columns to write
+ * @returns {Object} The merged values (header row first) and added/updated/removed counts
+ */
+function mergeWishlistRows(existingValues, wishlistData, columns) {
+  const headers = columns.map((column) => column.header);
+  const existingHeaders = existingValues[0] || [];
+  const existingIndexes = columns.map((column) =>
+    findExistingColumn(existingHeaders, column)
+  );
+  const existingIndexOf = (header) => {
+    const column = findColumn(columns, header);
+    return column
+      ? existingIndexes[columns.indexOf(column)]
+      : existingHeaders.indexOf(header);
+  };
+  const existingRoomIdIndex = existingIndexOf("Room ID");
+  const existingLinkIndex = existingIndexOf("Link to listing");
+  const statusIndex = columns.indexOf(findColumn(columns, "Status"));
+  const keptIndexes = columns
+    .map((column, index) => (column.keep ? index : -1))
+    .filter((index) => index >= 0);
+  const stats = { added: 0, updated: 0, removed: 0 };
+
+  // Index the incoming listings by room ID, or by link for listings
+  // without one
+  const incoming = new Map();
+  wishlistData.forEach((item) => {
+    const key = getItemRoomId(item) || getLinkKey(item.link);
+    if (key && !incoming.has(key)) {
+      incoming.set(key, item);
+    }
+  });
+
+  const values = [headers];
+  const writtenRows = new Map();
+
+  // Keep the existing row order, updating or marking each known listing
+  existingValues.slice(1).forEach((row) => {
+    const key =
+      getExistingRowRoomId(row, existingRoomIdIndex, existingLinkIndex) ||
+      (existingLinkIndex >= 0 ? getLinkKey(row[existingLinkIndex]) : "");
+
+    // A second row for a listing (e.g. copied by hand) is merged into the
+    // first: its hand-entered values fill the first row's empty cells
+    if (key && writtenRows.has(key)) {
+      const firstRow = writtenRows.get(key);
+      keptIndexes.forEach((index) => {
+        const existingIndex = existingIndexes[index];
+        if (
+          existingIndex >= 0 &&
+          !isEmptyCell(row[existingIndex]) &&
+          isEmptyCell(firstRow[index])
+        ) {
+          firstRow[index] = row[existingIndex];
+        }
+      });
+      return;
+    }
+
+    if (key && incoming.has(key)) {
+      // Hand-entered columns keep what the sheet has
+      const updatedRow = buildSheetRow(incoming.get(key), columns);
+      keptIndexes.forEach((index) => {
+        const existingIndex = existingIndexes[index];
+        if (existingIndex >= 0 && row[existingIndex] !== undefined) {
+          updatedRow[index] = row[existingIndex];
+        }
+      });
+      values.push(updatedRow);
+      writtenRows.set(key, updatedRow);
+      stats.updated++;
+      return;
+    }
+
+    // Carry the old row over in the current column order
+    const carriedRow = existingIndexes.map((index) =>
+      index >= 0 && row[index] !== undefined ? row[index] : ""
+    );
+
+    // Listings removed by an earlier sync are not counted again
+    if (key) {
+      if (carriedRow[statusIndex] !== REMOVED_STATUS) {
+        stats.removed++;
+      }
+      carriedRow[statusIndex] = REMOVED_STATUS;
+      writtenRows.set(key, carriedRow);
+    }
+    values.push(carriedRow);
+  });
+
+  // Append listings that are new to the sheet
+  wishlistData.forEach((item) => {
+    const key = getItemRoomId(item) || getLinkKey(item.link);
+    if (key && writtenRows.has(key)) {
+      return;
+    }
+    const newRow = buildSheetRow(item, columns);
+    values.push(newRow);
+    if (key) {
+      writtenRows.set(key, newRow);
+    }
+    stats.added++;
+  });
+
+  return { values: values, stats: stats };
+}
+
+/**
+ * Gets the room ID of a row already in the sheet, preferring the "Room ID"
+ * column over the link (sheets from before that column only have the link)
+ * @param {Array} row - The row values
+ * @param {number} roomIdIndex - The index of the "Room ID" column, or -1
+ * @param {number} linkIndex - The index of the "Link to listing" column, or -1
+ * @returns {string} The room ID, or an empty string if the row has none
+ */
+function getExistingRowRoomId(row, roomIdIndex, linkIndex) {
+  const roomId = roomIdIndex >= 0 ? String(row[roomIdIndex] ?? "").trim() : "";
+  if (/^\d+$/.test(roomId)) {
+    return roomId;
+  }
+  return linkIndex >= 0 ? getRoomIdFromLink(row[linkIndex]) : "";
+}
+
+/**
+ * Gets the link of a listing without its query, so listings without a room
+ * ID are still found when their trip dates change
+ * @param {string} link - The link to the listing
+ * @returns {string} The link without query and hash, or an empty string
+ */
+function getLinkKey(link) {
+  return String(link ?? "")
+    .trim()
+    .split(/[?#]/)[0];
+}
+
+/**
+ * Checks whether a sheet cell has no value
+ * @param {*} value - The cell value
+ * @returns {boolean} True if the cell is empty
+ */
+function isEmptyCell(value) {
+  return value === "" || value === null || value === undefined;
+}
+
+/**
+ * Converts a zero-based column index to its A1 column letter
+ * @param {number} index - The zero-based column index
+ * @returns {string} The column letter (e.g. 0 -> "A", 27 -> "AB")
+ */
+function columnLetter(index) {
+  let letter = "";
+  let remaining = index + 1;
+  while (remaining > 0) {
+    const offset = (remaining - 1) % 26;
+    letter = String.fromCharCode(65 + offset) + letter;
+    remaining = Math.floor((remaining - 1) / 26);
+  }
+  return letter;
+}
+
+/**
+ * Builds a URL-safe A1 range for a sheet, quoting the sheet title
+ * @param {string} sheetTitle - The title of the sheet
+ * @param {string} [range] - The A1 range within the sheet (the whole sheet if omitted)
+ * @returns {string} The encoded range
+ */
+function sheetRange(sheetTitle, range) {
+  const quotedTitle = quoteSheetTitle(sheetTitle);
+  return encodeURIComponent(range ? quotedTitle + "!" + range : quotedTitle);
+}
+
+/**
+ * Quotes a sheet title for A1 ranges and formulas
+ * @param {string} sheetTitle - The title of the sheet
+ * @returns {string} The title in single quotes, inner quotes doubled
+ */
+function quoteSheetTitle(sheetTitle) {
+  return "'" + sheetTitle.replace(/'/g, "''") + "'";
+}
+
+/**
+ * Reads all values of a sheet as raw numbers and text (no display formatting)
+ * @param {string} token - The OAuth token
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @param {string} sheetTitle - The title of the sheet to read
+ * @returns {Promise<Array>} A promise with the sheet values, header row first
+ */
+function getSpreadsheetValues(token, spreadsheetId, sheetTitle) {
+  console.log(`Reading values from sheet: ${sheetTitle}`);
+
+  const range = sheetRange(sheetTitle);
+
+  return fetch(
+    `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values/${range}?valueRenderOption=UNFORMATTED_VALUE`,
+    {
+      method: "GET",
+      headers: {
+        Authorization: "Bearer " + token,
+        "Content-Type": "application/json",
+      },
+    }
+  )
+    .then(handleApiResponse)
+    .then((response) => response.values || []);
+}
+
+/**
+ * Updates a spreadsheet with data
+ * @param {string} token - The OAuth token
+ * @param {string} spreadsheetId - The ID of the spreadsheet to update
+ * @param {Array} values - The data values to write
+ * @param {string} sheetName - The name of the sheet to update
+ * @returns {Promise<Object>} A promise with the updated sheet (properties,
+ *   banding and conditional formats as before the update)
+ */
+function updateSpreadsheet(token, spreadsheetId, values, sheetName) {
+  console.log(
+    "Updating spreadsheet:",
+    spreadsheetId,
+    "with",
+    values.length,
+    "rows"
+  );
+
+  return getSheet(token, spreadsheetId, sheetName).then((sheet) => {
+    // Use the sheet title for the API calls
+    const sheetTitle = sheet.properties.title;
+
+    // Clear existing data first
+    return clearSpreadsheetData(token, spreadsheetId, sheetTitle)
+      .then(() => {
+        // Then update with new data
+        return updateSpreadsheetData(token, spreadsheetId, sheetTitle, values);
+      })
+      .then(() => sheet);
+  });
+}
+
+/**
+ * Gets a sheet with its banding and conditional formats, adding the sheet if
+ * the spreadsheet does not have it (it was deleted or renamed meanwhile)
+ * @param {string} token - The OAuth token
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @param {string} [sheetName] - The name of the sheet (the first sheet if omitted)
+ * @returns {Promise<Object>} A promise with the sheet as returned by the spreadsheet GET
+ */
+function getSheet(token, spreadsheetId, sheetName) {
+  // Check if the spreadsheet exists and get sheet information
+  return fetch(
+    `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}`,
+    {
+      method: "GET",
+      headers: {
+        Authorization: "Bearer " + token,
+        "Content-Type": "application/json",
+      },
+    }
+  )
+    .then(handleApiResponse)
+    .then((spreadsheetData) => {
+      // Find the sheet with the specified name
+      console.log("Retrieved spreadsheet data:", spreadsheetData);
+
+      // Find the first sheet or the sheet with the specified name
+      const sheet = spreadsheetData.sheets.find(
+        (s) =>
+          s.properties.title === sheetName ||
+          (sheetName === undefined && s.properties.index === 0)
+      );
+
+      if (!sheet) {
+        console.log(`Sheet ${sheetName} not found, adding it`);
+        return addSheet(token, spreadsheetId, sheetName).then((properties) => ({
+          properties: properties,
+        }));
+      }
+
+      console.log(`Found sheet: ${sheet.properties.title}`);
+      return sheet;
+    });
+}
+
+/**
+ * Writes the managed columns of a sheet, one range per run of adjacent
+ * columns, leaving every other column untouched
+ * @param {string} token - The OAuth token
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @param {string} sheetTitle - The title of the sheet
+ * @param {Array} values - The values of the managed columns, header row first
+ * @param {Array} columnIndexes - The sheet column index of each value column
+ * @returns {Promise<Object>} A promise with the update result
+ */
+function updateSheetColumns(
+  token,
+  spreadsheetId,
+  sheetTitle,
+  values,
+  columnIndexes
+) {
+  console.log(
+    `Updating ${columnIndexes.length} columns of sheet ${sheetTitle} with ${values.length} rows of data`
+  );
+
+  const data = groupColumnRuns(columnIndexes).map((run) => ({
+    range:
+      quoteSheetTitle(sheetTitle) +
+      `!${columnLetter(run.start)}1:${columnLetter(run.end - 1)}${
+        values.length
+      }`,
+    values: values.map((row) => run.indexes.map((index) => row[index])),
+  }));
+
+  return fetch(
+    `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values:batchUpdate`,
+    {
+      method: "POST",
+      headers: {
+        Authorization: "Bearer " + token,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        valueInputOption: "USER_ENTERED",
+        data: data,
+      }),
+    }
+  )
+    .then(handleApiResponse)
+    .then((response) => {
+      console.log("Sheet columns updated successfully");
+      return response;
+    });
+}
+
+/**
+ * Groups sheet column indexes into runs of adjacent columns
+ * @param {Array} columnIndexes - The sheet column index of each column
+ * @returns {Array} The runs, each with its first sheet column (start), the
+ *   sheet column after its last (end) and the positions in columnIndexes
+ */
+function groupColumnRuns(columnIndexes) {
+  const runs = [];
+  columnIndexes.forEach((sheetIndex, index) => {
+    const last = runs[runs.length - 1];
+    if (last && last.end === sheetIndex) {
+      last.end++;
+      last.indexes.push(index);
+    } else {
+      runs.push({ start: sheetIndex, end: sheetIndex + 1, indexes: [index] });
+    }
+  });
+  return runs;
+}
+
+/**
+ * Clears data from a spreadsheet
+ * @param {string} token - The OAuth token
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @param {string} sheetTitle - The title of the sheet to clear
+ * @returns {Promise<Object>} A promise with the clear result
+ */
+function clearSpreadsheetData(token, spreadsheetId, sheetTitle) {
+  console.log(`Clearing data from sheet: ${sheetTitle}`);
+
+  const range = sheetRange(sheetTitle);
+
+  return fetch(
+    `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values/${range}:clear`,
+    {
+      method: "POST",
+      headers: {
+        Authorization: "Bearer " + token,
+        "Content-Type": "application/json",
+      },
+    }
+  )
+    .then(handleApiResponse)
+    .then((response) => {
+      console.log("Spreadsheet cleared successfully");
+      return response;
+    });
+}
+
+/**
+ * Updates spreadsheet with new data
+ * @param {string} token - The OAuth token
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @param {string} sheetTitle - The title of the sheet to update
+ * @param {Array} values - The data values to write
+ * @returns {Promise<Object>} A promise with the update result
+ */
+function updateSpreadsheetData(token, spreadsheetId, sheetTitle, values) {
+  console.log(
+    `Updating sheet ${sheetTitle} with ${values.length} rows of data`
+  );
+
+  const range = sheetRange(
+    sheetTitle,
+    `A1:${columnLetter(values[0].length - 1)}${values.length}`
+  );
+
+  return fetch(
+    `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values/${range}?valueInputOption=USER_ENTERED`,
+    {
+      method: "PUT",
+      headers: {
+        Authorization: "Bearer " + token,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        values: values,
+      }),
+    }
+  )
+    .then(handleApiResponse)
+    .then((response) => {
+      console.log("Spreadsheet data updated successfully");
+      return response;
+    });
+}
+
+/**
+ * Makes sure a sheet with the given title exists, adding it if necessary
+ * @param {string} token - The OAuth token
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @param {string} sheetTitle - The title of the sheet
+ * @param {Object} [gridProperties] - The grid properties of an added sheet
+ * @returns {Promise<boolean>} A promise that resolves with true if the sheet was added
+ */
+function ensureSheet(token, spreadsheetId, sheetTitle, gridProperties) {
+  return fetch(
+    `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}?fields=sheets.properties`,
+    {
+      method: "GET",
+      headers: {
+        Authorization: "Bearer " + token,
+        "Content-Type": "application/json",
+      },
+    }
+  )
+    .then(handleApiResponse)
+    .then((spreadsheetData) => {
+      const exists = spreadsheetData.sheets.some(
+        (s) => s.properties.title === sheetTitle
+      );
+      if (exists) {
+        return false;
+      }
+
+      console.log(`Adding sheet: ${sheetTitle}`);
+      return addSheet(token, spreadsheetId, sheetTitle, gridProperties).then(
+        () => true
+      );
+    });
+}
+
+/**
+ * Adds a sheet to a spreadsheet
+ * @param {string} token - The OAuth token
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @param {string} sheetTitle - The title of the sheet
+ * @param {Object} [gridProperties] - The grid properties of the sheet
+ * @returns {Promise<Object>} A promise with the properties of the added sheet
+ */
+function addSheet(token, spreadsheetId, sheetTitle, gridProperties) {
+  const properties = { title: sheetTitle };
+  if (gridProperties) {
+    properties.gridProperties = gridProperties;
+  }
+  return batchUpdateSpreadsheet(token, spreadsheetId, [
+    { addSheet: { properties: properties } },
+  ]).then((result) => result.replies[0].addSheet.properties);
+}
+
+/**
+ * Sends a batch of structural requests to a spreadsheet
+ * @param {string} token - The OAuth token
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @param {Array} requests - The batchUpdate requests
+ * @returns {Promise<Object>} A promise with the batchUpdate result
+ */
+function batchUpdateSpreadsheet(token, spreadsheetId, requests) {
+  return fetch(
+    `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}:batchUpdate`,
+    {
+      method: "POST",
+      headers: {
+        Authorization: "Bearer " + token,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        requests: requests,
+      }),
+    }
+  ).then(handleApiResponse);
+}
+
+/**
+ * Appends rows below the existing data of a sheet
+ * @param {string} token - The OAuth token
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @param {string} sheetTitle - The title of the sheet to append to
+ * @param {Array} values - The rows to append
+ * @returns {Promise<Object>} A promise with the append result
+ */
+function appendSpreadsheetData(token, spreadsheetId, sheetTitle, values) {
+  console.log(`Appending ${values.length} rows to sheet ${sheetTitle}`);
+
+  const range = sheetRange(sheetTitle, "A1");
+
+  return fetch(
+    `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values/${range}:append?valueInputOption=USER_ENTERED&insertDataOption=INSERT_ROWS`,
+    {
+      method: "POST",
+      headers: {
+        Authorization: "Bearer " + token,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        values: values,
+      }),
+    }
+  )
+    .then(handleApiResponse)
+    .then((response) => {
+      console.log("Rows appended successfully");
+      return response;
+    });
+}
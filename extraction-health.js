@@ -0,0 +1,137 @@
+/**
+ * Airbnb Wishlist to Google Sheets Extension
+ * Extraction Health Script (extraction-health.js)
+ *
+ * This script measures how many listings each field was extracted for, so the
+ * popup can show a coverage table and warn before exporting empty columns,
+ * and builds the debug bundle users can attach to bug reports.
+ * It runs in the popup and in the background service worker, which checks
+ * the extractions of export jobs.
+ */
+
+/**
+ * Fields shown in the coverage table. The name matches the listing's
+ * "sources" entry (see extractListingData in content.js). Optional fields are
+ * often empty for every listing (e.g. nobody wrote a comment), so they do not
+ * trigger the warning.
+ */
+const HEALTH_FIELDS = [
+  {
+    name: "propertyName",
+    label: "name",
+    isFilled: (item) => Boolean(item.propertyName),
+  },
+  { name: "rating", label: "rating", isFilled: (item) => Boolean(item.rating) },
+  { name: "date", label: "date", isFilled: (item) => Boolean(item.checkIn) },
+  { name: "bedInfo", label: "beds", isFilled: (item) => Boolean(item.bedInfo) },
+  {
+    name: "price",
+    label: "price",
+    isFilled: (item) =>
+      typeof item.totalPrice === "number" ||
+      typeof item.nightlyPrice === "number",
+  },
+  { name: "link", label: "link", isFilled: (item) => Boolean(item.link) },
+  {
+    name: "photo",
+    label: "photo",
+    isFilled: (item) => Boolean(item.photoUrl),
+    optional: true,
+  },
+  {
+    name: "comment",
+    label: "comment",
+    isFilled: (item) => Boolean(item.comment),
+    optional: true,
+  },
+];
+
+/**
+ * Counts for each field how many listings it was extracted for
+ * @param {Array} wishlistData - The wishlist data returned by the content script
+ * @returns {Array} One entry per field with its label, filled count, the
+ *   number found by pattern heuristics, the total and whether it is optional
+ */
+function computeFieldCoverage(wishlistData) {
+  return HEALTH_FIELDS.map((field) => {
+    const filledItems = wishlistData.filter(field.isFilled);
+    return {
+      name: field.name,
+      label: field.label,
+      filled: filledItems.length,
+      byPattern: filledItems.filter(
+        (item) => item.sources && item.sources[field.name] === "pattern"
+      ).length,
+      total: wishlistData.length,
+      optional: Boolean(field.optional),
+    };
+  });
+}
+
+/**
+ * Finds the required fields that are empty for every listing
+ * @param {Array} coverage - The coverage computed by computeFieldCoverage
+ * @returns {Array} The labels of the empty fields
+ */
+function findEmptyFields(coverage) {
+  return coverage
+    .filter((field) => !field.optional && field.total > 0 && field.filled === 0)
+    .map((field) => field.label);
+}
+
+/**
+ * Checks whether an extraction missed listings: the scrolling timed out
+ * before the list was complete, or fewer cards were found than the wishlist
+ * says it has
+ * @param {Object} response - The successful content script response
+ * @returns {boolean} True if some listings may be missing
+ */
+function isPartialExtraction(response) {
+  const found = (response.data || []).length;
+  return (
+    response.complete === false ||
+    (typeof response.totalCount === "number" && found < response.totalCount)
+  );
+}
+
+/**
+ * Builds the debug bundle for an extraction: the coverage, the strategy used
+ * per field and the sanitized page snapshot from the content script. Listing
+ * values such as names, prices and comments are left out.
+ * @param {Object} response - The content script response (successful or not)
+ * @returns {string} The debug bundle as JSON
+ */
+function buildDebugBundle(response) {
+  const wishlistData = response.data || [];
+
+  return JSON.stringify(
+    {
+      createdAt: new Date().toISOString(),
+      extensionVersion: chrome.runtime.getManifest().version,
+      userAgent: navigator.userAgent,
+      error: response.success ? null : response.error || null,
+      totalCount: response.totalCount ?? null,
+      listingCount: wishlistData.length,
+      partial: response.success ? isPartialExtraction(response) : null,
+      coverage: computeFieldCoverage(wishlistData),
+      sources: wishlistData.map((item) => item.sources || {}),
+      page: response.debug || null,
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * Downloads the debug bundle for an extraction as a JSON file
+ * @param {Object} response - The content script response (successful or not)
+ * @returns {Promise<number>} A promise that resolves with the download ID
+ */
+function downloadDebugBundle(response) {
+  const date = new Date().toISOString().substring(0, 10);
+  return downloadFile(
+    buildDebugBundle(response),
+    `Airbnb Wishlist - Debug Bundle - ${date}.json`,
+    "application/json;charset=utf-8"
+  );
+}
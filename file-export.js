@@ -0,0 +1,346 @@
+/**
+ * Airbnb Wishlist to Google Sheets Extension
+ * File Export Script (file-export.js)
+ *
+ * This script turns extracted wishlist data into CSV, JSON or XLSX files and
+ * downloads them, so the extension can be used without Google Sheets.
+ * It runs in the popup and uses the column definitions from columns.js, with
+ * the columns chosen on the options page (see export-settings.js).
+ */
+
+// MIME types and builders for each download format
+const FILE_FORMATS = {
+  csv: { mimeType: "text/csv;charset=utf-8", build: buildCsv },
+  json: { mimeType: "application/json;charset=utf-8", build: buildJson },
+  xlsx: {
+    mimeType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    build: buildXlsx,
+  },
+};
+
+/**
+ * Builds a file from the wishlist data and downloads it
+ * @param {Array} wishlistData - The wishlist data returned by the content script
+ * @param {string} wishlistName - The name of the wishlist
+ * @param {string} format - The file format ("csv", "json" or "xlsx")
+ * @returns {Promise<number>} A promise that resolves with the download ID
+ */
+function downloadWishlistFile(wishlistData, wishlistName, format) {
+  const fileFormat = FILE_FORMATS[format];
+  if (!fileFormat) {
+    return Promise.reject(new Error(`Unknown file format: ${format}`));
+  }
+
+  return loadExportSettings().then((settings) => {
+    const columns = applyColumnSettings(SHEET_COLUMNS, settings);
+    const headers = columns.map((column) => column.header);
+    const rows = wishlistData.map((item) => buildSheetRow(item, columns));
+    return downloadFile(
+      fileFormat.build(headers, rows, wishlistName),
+      buildFileName(wishlistName, format),
+      fileFormat.mimeType
+    );
+  });
+}
+
+/**
+ * Downloads content as a file through the downloads API
+ * @param {string|Uint8Array} content - The file content
+ * @param {string} fileName - The name of the file
+ * @param {string} mimeType - The MIME type of the file
+ * @returns {Promise<number>} A promise that resolves with the download ID
+ */
+function downloadFile(content, fileName, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(blob);
+    chrome.downloads.download(
+      { url: url, filename: fileName },
+      function (downloadId) {
+        if (chrome.runtime.lastError) {
+          URL.revokeObjectURL(url);
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        console.log("Download started:", downloadId);
+        // Give the download a moment to read the blob before releasing it
+        setTimeout(() => URL.revokeObjectURL(url), 10000);
+        resolve(downloadId);
+      }
+    );
+  });
+}
+
+/**
+ * Builds a file name such as "Airbnb Wishlist - Lisbon - 2026-10-19.csv"
+ * @param {string} wishlistName - The name of the wishlist
+ * @param {string} format - The file extension
+ * @returns {string} The file name
+ */
+function buildFileName(wishlistName, format) {
+  const safeName = (wishlistName || "Untitled")
+    .replace(/[\\/:*?"<>|]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  const date = new Date().toISOString().substring(0, 10);
+  return `Airbnb Wishlist - ${safeName} - ${date}.${format}`;
+}
+
+/**
+ * Builds a CSV file, with a UTF-8 BOM so Excel detects the encoding
+ * @param {Array} headers - The column headers
+ * @param {Array} rows - The row values
+ * @returns {string} The CSV content
+ */
+function buildCsv(headers, rows) {
+  const lines = [headers, ...rows].map((row) =>
+    row.map(escapeCsvValue).join(",")
+  );
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
+
+/**
+ * Escapes a value for CSV, quoting it when needed. Text starting with a
+ * formula character is prefixed with an apostrophe so spreadsheet apps
+ * don't evaluate it.
+ * @param {*} value - The cell value
+ * @returns {string} The escaped value
+ */
+function escapeCsvValue(value) {
+  if (typeof value === "number") {
+    return String(value);
+  }
+
+  let text = String(value ?? "");
+  if (/^[=+\-@]/.test(text)) {
+    text = "'" + text;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = '"' + text.replace(/"/g, '""') + '"';
+  }
+  return text;
+}
+
+/**
+ * Builds a JSON file with one object per listing, keyed by column header
+ * @param {Array} headers - The column headers
+ * @param {Array} rows - The row values
+ * @returns {string} The JSON content
+ */
+function buildJson(headers, rows) {
+  const listings = rows.map((row) => {
+    const listing = {};
+    headers.forEach((header, index) => {
+      listing[header] = row[index];
+    });
+    return listing;
+  });
+  return JSON.stringify(listings, null, 2);
+}
+
+/**
+ * Builds an XLSX workbook with a single sheet
+ * @param {Array} headers - The column headers
+ * @param {Array} rows - The row values
+ * @param {string} wishlistName - The name of the wishlist, used as sheet name
+ * @returns {Uint8Array} The XLSX file content
+ */
+function buildXlsx(headers, rows, wishlistName) {
+  // Excel sheet names are limited to 31 characters without []:*?/\
+  const sheetName =
+    (wishlistName || "Wishlist")
+      .replace(/[\[\]:*?\/\\]/g, " ")
+      .substring(0, 31)
+      .trim() || "Wishlist";
+
+  const sheetRows = [headers, ...rows].map((row, rowIndex) => {
+    const cells = row.map((value, columnIndex) => {
+      const ref = xlsxColumnLetter(columnIndex) + (rowIndex + 1);
+      if (typeof value === "number") {
+        return `<c r="${ref}"><v>${value}</v></c>`;
+      }
+      if (value === "" || value === null || value === undefined) {
+        return "";
+      }
+      return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(
+        value
+      )}</t></is></c>`;
+    });
+    return `<row r="${rowIndex + 1}">${cells.join("")}</row>`;
+  });
+
+  const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+  const mainNamespace =
+    "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+  const relationshipNamespace =
+    "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+
+  return createZip([
+    {
+      name: "[Content_Types].xml",
+      content:
+        xmlHeader +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        "</Types>",
+    },
+    {
+      name: "_rels/.rels",
+      content:
+        xmlHeader +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        `<Relationship Id="rId1" Type="${relationshipNamespace}/officeDocument" Target="xl/workbook.xml"/>` +
+        "</Relationships>",
+    },
+    {
+      name: "xl/workbook.xml",
+      content:
+        xmlHeader +
+        `<workbook xmlns="${mainNamespace}" xmlns:r="${relationshipNamespace}">` +
+        `<sheets><sheet name="${escapeXml(
+          sheetName
+        )}" sheetId="1" r:id="rId1"/></sheets>` +
+        "</workbook>",
+    },
+    {
+      name: "xl/_rels/workbook.xml.rels",
+      content:
+        xmlHeader +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        `<Relationship Id="rId1" Type="${relationshipNamespace}/worksheet" Target="worksheets/sheet1.xml"/>` +
+        "</Relationships>",
+    },
+    {
+      name: "xl/worksheets/sheet1.xml",
+      content:
+        xmlHeader +
+        `<worksheet xmlns="${mainNamespace}"><sheetData>${sheetRows.join(
+          ""
+        )}</sheetData></worksheet>`,
+    },
+  ]);
+}
+
+/**
+ * Converts a zero-based column index to its spreadsheet column letter
+ * @param {number} index - The zero-based column index
+ * @returns {string} The column letter (e.g. 0 -> "A", 27 -> "AB")
+ */
+function xlsxColumnLetter(index) {
+  let letter = "";
+  let remaining = index + 1;
+  while (remaining > 0) {
+    const offset = (remaining - 1) % 26;
+    letter = String.fromCharCode(65 + offset) + letter;
+    remaining = Math.floor((remaining - 1) / 26);
+  }
+  return letter;
+}
+
+/**
+ * Escapes text for use in XML, dropping characters XML does not allow
+ * @param {*} value - The value to escape
+ * @returns {string} The escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(
+      /[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu,
+      ""
+    )
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Packs files into an uncompressed ZIP archive (the container format of XLSX)
+ * @param {Array} files - The files, each with a name and string content
+ * @returns {Uint8Array} The ZIP archive
+ */
+function createZip(files) {
+  const encoder = new TextEncoder();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach((file) => {
+    const name = encoder.encode(file.name);
+    const data = encoder.encode(file.content);
+    const checksum = crc32(data);
+
+    // Local file header: stored (no compression), UTF-8 file name
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true);
+    local.setUint16(8, 0, true);
+    local.setUint16(10, 0, true);
+    local.setUint16(12, 0x21, true);
+    local.setUint32(14, checksum, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+
+    // Central directory entry pointing at the local header
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, 0, true);
+    central.setUint16(14, 0x21, true);
+    central.setUint32(16, checksum, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+
+    localParts.push(new Uint8Array(local.buffer), name, data);
+    centralParts.push(new Uint8Array(central.buffer), name);
+    offset += 30 + name.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+
+  // End of central directory record
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const zip = new Uint8Array(offset + centralSize + 22);
+  let position = 0;
+  parts.forEach((part) => {
+    zip.set(part, position);
+    position += part.length;
+  });
+  return zip;
+}
+
+/**
+ * Computes the CRC-32 checksum used by ZIP archives
+ * @param {Uint8Array} data - The data to checksum
+ * @returns {number} The unsigned CRC-32 checksum
+ */
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc ^= data[i];
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 1 ? (crc >>> 1) ^ 0xedb88320 : crc >>> 1;
+    }
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
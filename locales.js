@@ -0,0 +1,328 @@
+/**
+ * Airbnb Wishlist to Google Sheets Extension
+ * Locales (locales.js)
+ *
+ * This script defines the words, month names and number formats Airbnb uses
+ * in each supported UI language, so listings can be read on any Airbnb
+ * domain. It is loaded by the content script and the background service worker.
+ */
+
+/**
+ * Supported languages. Each locale has:
+ * - domains: Airbnb domains showing this language by default, used when the
+ *   page does not declare its language
+ * - decimalSeparator: the decimal separator of prices ("." or ",")
+ * - months: month name prefixes, January first
+ * - words: regular expression fragments (lowercase) for the labels and
+ *   keywords on wishlist and room pages. The nightly keyword is bounded so
+ *   "7 nights" does not mark a nightly rate; "for 7 nights" marks a total.
+ * Airbnb shows the language chosen in the account on every domain, so the
+ * keywords of all locales are matched; the detected locale decides the
+ * number format and which month names are tried first.
+ */
+const AIRBNB_LOCALES = {
+  en: {
+    domains: [
+      "airbnb.com",
+      "airbnb.co.uk",
+      "airbnb.ie",
+      "airbnb.ca",
+      "airbnb.com.au",
+      "airbnb.co.nz",
+      "airbnb.co.in",
+    ],
+    decimalSeparator: ".",
+    months: [
+      "jan",
+      "feb",
+      "mar",
+      "apr",
+      "may",
+      "jun",
+      "jul",
+      "aug",
+      "sep",
+      "oct",
+      "nov",
+      "dec",
+    ],
+    words: {
+      total: ["total", "for \\d+ nights"],
+      nightly: ["\\bnight\\b"],
+      priceLabel: ["total price"],
+      edit: ["edit"],
+      showMore: ["show more"],
+      saved: ["saved", "stays?", "homes?", "listings?"],
+      ratingOutOf: ["out of"],
+      dateRange: [],
+      bedrooms: ["bedrooms?"],
+      beds: ["beds?"],
+      bathrooms: ["bathrooms?", "baths?"],
+      bathroomQualifier: ["shared", "private"],
+      guests: ["guests?"],
+      studio: ["studio"],
+      hostedBy: ["hosted by"],
+      reviews: ["reviews?"],
+      cancellationPolicy: ["cancellation policy"],
+      showAll: ["show all"],
+      superhost: ["superhost"],
+      checkIn: ["check-in after", "check-in from", "check-in"],
+      unavailable: ["unavailable", "not available"],
+    },
+  },
+  de: {
+    domains: ["airbnb.de", "airbnb.at", "airbnb.ch"],
+    decimalSeparator: ",",
+    months: [
+      "jan",
+      "feb",
+      "mär",
+      "apr",
+      "mai",
+      "jun",
+      "jul",
+      "aug",
+      "sep",
+      "okt",
+      "nov",
+      "dez",
+    ],
+    words: {
+      total: ["gesamt", "insgesamt", "für \\d+ nächte"],
+      nightly: ["\\bnacht\\b"],
+      priceLabel: ["gesamtpreis", "insgesamt"],
+      edit: ["bearbeiten"],
+      showMore: ["mehr anzeigen"],
+      saved: ["gespeichert", "unterkünfte", "unterkunft"],
+      ratingOutOf: ["von"],
+      dateRange: ["bis"],
+      bedrooms: ["schlafzimmer"],
+      beds: ["betten", "bett"],
+      bathrooms: ["badezimmer", "bäder", "bad"],
+      bathroomQualifier: ["gemeinsame?s?", "eigene?s?"],
+      guests: ["gäste", "gast"],
+      studio: ["studio"],
+      hostedBy: ["gastgeber(?:in)?:?"],
+      reviews: ["bewertungen"],
+      cancellationPolicy: ["stornierungsbedingungen"],
+      showAll: ["alle .* anzeigen"],
+      superhost: ["superhost"],
+      checkIn: ["check-in ab", "check-in"],
+      unavailable: ["nicht verfügbar"],
+    },
+  },
+  fr: {
+    domains: ["airbnb.fr"],
+    decimalSeparator: ",",
+    months: [
+      "janv",
+      "févr",
+      "mars",
+      "avr",
+      "mai",
+      "juin",
+      "juil",
+      "août",
+      "sept",
+      "oct",
+      "nov",
+      "déc",
+    ],
+    words: {
+      total: ["total", "pour \\d+ nuits"],
+      nightly: ["\\bnuit\\b"],
+      priceLabel: ["prix total", "total"],
+      edit: ["modifier"],
+      showMore: ["afficher plus"],
+      saved: ["enregistrés?", "logements?"],
+      ratingOutOf: ["sur"],
+      dateRange: ["au"],
+      bedrooms: ["chambres?"],
+      beds: ["lits?"],
+      bathrooms: ["salles? de bains?"],
+      bathroomQualifier: [],
+      guests: ["voyageurs?"],
+      studio: ["studio"],
+      hostedBy: ["hôte\\s*:", "proposé par"],
+      reviews: ["commentaires?", "avis"],
+      cancellationPolicy: ["conditions d'annulation"],
+      showAll: ["afficher les", "afficher tous"],
+      superhost: ["superhôte"],
+      checkIn: ["arrivée à partir de", "arrivée"],
+      unavailable: ["indisponible", "non disponible"],
+    },
+  },
+  es: {
+    domains: ["airbnb.es", "airbnb.mx"],
+    decimalSeparator: ",",
+    months: [
+      "ene",
+      "feb",
+      "mar",
+      "abr",
+      "may",
+      "jun",
+      "jul",
+      "ago",
+      "sep",
+      "oct",
+      "nov",
+      "dic",
+    ],
+    words: {
+      total: ["total", "por \\d+ noches"],
+      nightly: ["\\bnoche\\b"],
+      priceLabel: ["precio total"],
+      edit: ["editar"],
+      showMore: ["mostrar más"],
+      saved: ["guardad[oa]s?", "alojamientos?"],
+      ratingOutOf: ["de"],
+      dateRange: ["al"],
+      bedrooms: ["dormitorios?", "habitaci(?:ón|ones)"],
+      beds: ["camas?"],
+      bathrooms: ["baños?"],
+      bathroomQualifier: [],
+      guests: ["huésped(?:es)?"],
+      studio: ["estudio"],
+      hostedBy: ["anfitri(?:ón|ona):?"],
+      reviews: ["reseñas?", "evaluaciones"],
+      cancellationPolicy: ["política de cancelación"],
+      showAll: ["mostrar (?:los|las)"],
+      superhost: ["superanfitri(?:ón|ona)"],
+      checkIn: ["llegada a partir de las?", "llegada"],
+      unavailable: ["no disponible"],
+    },
+  },
+  it: {
+    domains: ["airbnb.it"],
+    decimalSeparator: ",",
+    months: [
+      "gen",
+      "feb",
+      "mar",
+      "apr",
+      "mag",
+      "giu",
+      "lug",
+      "ago",
+      "set",
+      "ott",
+      "nov",
+      "dic",
+    ],
+    words: {
+      total: ["totale", "per \\d+ notti"],
+      nightly: ["\\bnotte\\b"],
+      priceLabel: ["prezzo totale", "totale"],
+      edit: ["modifica"],
+      showMore: ["mostra altro"],
+      saved: ["salvat[ie]", "alloggi"],
+      ratingOutOf: ["su"],
+      dateRange: ["al"],
+      bedrooms: ["camer[ae] da letto"],
+      beds: ["letti", "letto"],
+      bathrooms: ["bagni", "bagno"],
+      bathroomQualifier: [],
+      guests: ["ospiti", "ospite"],
+      studio: ["monolocale"],
+      hostedBy: ["host:"],
+      reviews: ["recensioni", "recensione"],
+      cancellationPolicy: ["termini di cancellazione"],
+      showAll: ["mostra tutti"],
+      superhost: ["superhost"],
+      checkIn: ["check-in dalle", "check-in dopo le", "check-in"],
+      unavailable: ["non disponibile"],
+    },
+  },
+  nl: {
+    domains: ["airbnb.nl", "airbnb.be"],
+    decimalSeparator: ",",
+    months: [
+      "jan",
+      "feb",
+      "mrt",
+      "apr",
+      "mei",
+      "jun",
+      "jul",
+      "aug",
+      "sep",
+      "okt",
+      "nov",
+      "dec",
+    ],
+    words: {
+      total: ["totaal", "voor \\d+ nachten"],
+      nightly: ["\\bnacht\\b"],
+      priceLabel: ["totaalprijs", "totale prijs"],
+      edit: ["bewerken"],
+      showMore: ["meer weergeven"],
+      saved: ["opgeslagen", "accommodaties?"],
+      ratingOutOf: ["van de", "van"],
+      dateRange: ["tot"],
+      bedrooms: ["slaapkamers?"],
+      beds: ["bedden", "bed"],
+      bathrooms: ["badkamers?"],
+      bathroomQualifier: ["gedeelde", "eigen"],
+      guests: ["gasten", "gast"],
+      studio: ["studio"],
+      hostedBy: ["verhuurd door", "host:"],
+      reviews: ["beoordelingen", "recensies"],
+      cancellationPolicy: ["annuleringsvoorwaarden"],
+      showAll: ["alle .* weergeven"],
+      superhost: ["superhost"],
+      checkIn: ["inchecken vanaf", "inchecken na", "inchecken"],
+      unavailable: ["niet beschikbaar"],
+    },
+  },
+};
+
+/**
+ * Detects the locale of the current Airbnb page from its lang attribute,
+ * falling back to the domain when the page does not declare a language
+ * @returns {string} The locale code, e.g. "fr", or an empty string if the
+ *   language is not in AIRBNB_LOCALES
+ */
+function detectPageLocale() {
+  const language = (document.documentElement.lang || "")
+    .toLowerCase()
+    .split("-")[0];
+  if (language) {
+    return AIRBNB_LOCALES[language] ? language : "";
+  }
+
+  const hostname = window.location.hostname;
+  return (
+    Object.keys(AIRBNB_LOCALES).find((code) =>
+      AIRBNB_LOCALES[code].domains.some(
+        (domain) => hostname === domain || hostname.endsWith("." + domain)
+      )
+    ) || ""
+  );
+}
+
+/**
+ * Builds a regular expression fragment matching a keyword in any locale
+ * @param {string} key - The key in the locales' words, e.g. "edit"
+ * @returns {string} A non-capturing group of all the locales' words
+ */
+function localeWords(key) {
+  const words = new Set();
+  Object.values(AIRBNB_LOCALES).forEach((locale) => {
+    (locale.words[key] || []).forEach((word) => words.add(word));
+  });
+  return `(?:${Array.from(words).join("|")})`;
+}
+
+/**
+ * Lists the locales with the given one first
+ * @param {string} code - The preferred locale code, may be empty
+ * @returns {Array} The locales, the preferred one first
+ */
+function getLocalesInOrder(code) {
+  const preferred = AIRBNB_LOCALES[code];
+  const others = Object.keys(AIRBNB_LOCALES)
+    .filter((other) => other !== code)
+    .map((other) => AIRBNB_LOCALES[other]);
+  return preferred ? [preferred, ...others] : others;
+}
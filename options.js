@@ -0,0 +1,796 @@
+/**
+ * Airbnb Wishlist to Google Sheets Extension
+ * Options Script (options.js)
+ *
+ * This script handles the options page: importing, editing and resetting the
+ * selector profile used by the content script (see selectors.js), the
+ * exported columns and spreadsheet names (see export-settings.js), the
+ * weights of the Ranking tab (see scoring.js), the participants who vote on
+ * listings (see columns.js), the scheduled syncs (see sync-schedule.js) and
+ * the listing alerts (see price-alerts.js).
+ */
+
+document.addEventListener("DOMContentLoaded", function () {
+  console.log("Options DOM loaded");
+
+  showSelectorProfile();
+  showExportSettings();
+  showScoringCriteria();
+  showParticipants();
+  showSyncSchedules();
+  showAlertSettings();
+
+  document
+    .getElementById("profileFile")
+    .addEventListener("change", handleProfileFileChange);
+  document
+    .getElementById("saveProfile")
+    .addEventListener("click", handleSaveProfileClick);
+  document
+    .getElementById("resetProfile")
+    .addEventListener("click", handleResetProfileClick);
+  document
+    .getElementById("titleTemplate")
+    .addEventListener("input", showTitlePreview);
+  document
+    .getElementById("dateFormat")
+    .addEventListener("change", showTitlePreview);
+  document
+    .getElementById("saveExportSettings")
+    .addEventListener("click", handleSaveExportSettingsClick);
+  document
+    .getElementById("resetExportSettings")
+    .addEventListener("click", handleResetExportSettingsClick);
+  document
+    .getElementById("saveScoring")
+    .addEventListener("click", handleSaveScoringClick);
+  document
+    .getElementById("resetScoring")
+    .addEventListener("click", handleResetScoringClick);
+  document
+    .getElementById("saveParticipants")
+    .addEventListener("click", handleSaveParticipantsClick);
+  document
+    .getElementById("saveAlerts")
+    .addEventListener("click", handleSaveAlertsClick);
+
+  // Show runs that finish while the page is open
+  chrome.storage.onChanged.addListener(function (changes, areaName) {
+    if (areaName === "local" && changes.syncRunLog) {
+      showSyncSchedules();
+    }
+  });
+});
+
+/**
+ * Shows the active selector profile and its JSON in the editor
+ */
+function showSelectorProfile() {
+  chrome.storage.local.get(
+    ["selectorProfile", "selectorProfileSavedAt"],
+    function (data) {
+      if (chrome.runtime.lastError) {
+        console.error("Storage error:", chrome.runtime.lastError);
+        showProfileStatus("Failed to access storage.", "error");
+        return;
+      }
+
+      const profile = data.selectorProfile || DEFAULT_SELECTOR_PROFILE;
+      const savedAt = data.selectorProfileSavedAt
+        ? ` (saved ${new Date(data.selectorProfileSavedAt).toLocaleString()})`
+        : "";
+      document.getElementById(
+        "activeProfile"
+      ).textContent = `${profile.name} ${profile.version}${savedAt}`;
+      document.getElementById("profileJson").value = JSON.stringify(
+        profile,
+        null,
+        2
+      );
+    }
+  );
+}
+
+/**
+ * Loads a chosen profile file into the editor
+ * @param {Event} event - The change event of the file input
+ */
+function handleProfileFileChange(event) {
+  const file = this.files[0];
+  if (!file) {
+    return;
+  }
+
+  file
+    .text()
+    .then((text) => {
+      document.getElementById("profileJson").value = text;
+      showProfileStatus(
+        `Loaded ${file.name}. Click "Save Profile" to use it.`,
+        "success"
+      );
+    })
+    .catch((error) => {
+      console.error("Error reading profile file:", error);
+      showProfileStatus("Failed to read the file: " + error.message, "error");
+    });
+}
+
+/**
+ * Validates the profile in the editor and stores it
+ * @param {Event} event - The click event
+ */
+function handleSaveProfileClick(event) {
+  let profile;
+  try {
+    profile = JSON.parse(document.getElementById("profileJson").value);
+  } catch (error) {
+    showProfileStatus(
+      "The profile is not valid JSON: " + error.message,
+      "error"
+    );
+    return;
+  }
+
+  const errors = validateSelectorProfile(profile);
+  if (errors.length > 0) {
+    showProfileStatus(
+      "The profile was not saved:\n" + errors.join("\n"),
+      "error"
+    );
+    return;
+  }
+
+  chrome.storage.local.set(
+    {
+      selectorProfile: profile,
+      selectorProfileSavedAt: new Date().toISOString(),
+    },
+    function () {
+      if (chrome.runtime.lastError) {
+        console.error("Error saving profile:", chrome.runtime.lastError);
+        showProfileStatus(
+          "Failed to save the profile: " + chrome.runtime.lastError.message,
+          "error"
+        );
+        return;
+      }
+
+      showProfileStatus(
+        `Saved selector profile ${profile.name} ${profile.version}. It is used from the next extraction on.`,
+        "success"
+      );
+      showSelectorProfile();
+    }
+  );
+}
+
+/**
+ * Removes the stored profile so the built-in profile is used again
+ * @param {Event} event - The click event
+ */
+function handleResetProfileClick(event) {
+  chrome.storage.local.remove(
+    ["selectorProfile", "selectorProfileSavedAt"],
+    function () {
+      if (chrome.runtime.lastError) {
+        console.error("Error resetting profile:", chrome.runtime.lastError);
+        showProfileStatus("Failed to reset the profile.", "error");
+        return;
+      }
+
+      showProfileStatus(
+        "Using the built-in selector profile again.",
+        "success"
+      );
+      showSelectorProfile();
+    }
+  );
+}
+
+/**
+ * Displays a status message below the selector profile
+ * @param {string} message - The message to display
+ * @param {string} type - The type of message ('success' or 'error')
+ */
+function showProfileStatus(message, type) {
+  console.log("Status:", message, type);
+  const statusElement = document.getElementById("profileStatus");
+  statusElement.textContent = message;
+  statusElement.className = "status " + type;
+  statusElement.style.display = "block";
+}
+
+/**
+ * Shows one row per column, in export order, with whether it is exported and
+ * its header, and the spreadsheet name and date format
+ */
+function showExportSettings() {
+  loadExportSettings().then((settings) => {
+    const tbody = document.getElementById("exportColumns");
+    tbody.textContent = "";
+
+    listColumnSettings(SHEET_COLUMNS, settings).forEach((entry) => {
+      const enabled = document.createElement("input");
+      enabled.type = "checkbox";
+      enabled.className = "column-enabled";
+      enabled.checked = entry.enabled || Boolean(entry.column.required);
+      enabled.disabled = Boolean(entry.column.required);
+
+      const label = document.createElement("input");
+      label.type = "text";
+      label.className = "column-label";
+      label.placeholder = entry.column.header;
+      label.value = entry.label;
+
+      const row = tbody.insertRow();
+      row.dataset.header = entry.column.header;
+      row.dataset.savedLabel = entry.label;
+      row.dataset.formerLabels = JSON.stringify(entry.formerLabels);
+      row.insertCell().appendChild(enabled);
+      row.insertCell().textContent = entry.column.header;
+      row.insertCell().appendChild(label);
+
+      const moveCell = row.insertCell();
+      [
+        ["up", "\u2191"],
+        ["down", "\u2193"],
+      ].forEach(([direction, text]) => {
+        const button = document.createElement("button");
+        button.className = "secondary-button";
+        button.dataset.direction = direction;
+        button.title = `Move ${direction}`;
+        button.textContent = text;
+        button.addEventListener("click", handleMoveColumnClick);
+        moveCell.appendChild(button);
+      });
+    });
+
+    const dateFormat = document.getElementById("dateFormat");
+    dateFormat.textContent = "";
+    DATE_FORMATS.forEach((format) => {
+      const option = document.createElement("option");
+      option.value = format;
+      option.textContent = `${format} (${formatExportDate(
+        new Date(),
+        format
+      )})`;
+      dateFormat.appendChild(option);
+    });
+    dateFormat.value = DATE_FORMATS.includes(settings.dateFormat)
+      ? settings.dateFormat
+      : DEFAULT_EXPORT_SETTINGS.dateFormat;
+    document.getElementById("titleTemplate").value = settings.titleTemplate;
+    showTitlePreview();
+  });
+}
+
+/**
+ * Moves a column one row up or down
+ * @param {Event} event - The click event of the move button
+ */
+function handleMoveColumnClick(event) {
+  const row = this.closest("tr");
+  if (this.dataset.direction === "up" && row.previousElementSibling) {
+    row.parentNode.insertBefore(row, row.previousElementSibling);
+  } else if (this.dataset.direction === "down" && row.nextElementSibling) {
+    row.parentNode.insertBefore(row.nextElementSibling, row);
+  }
+}
+
+/**
+ * Shows what a new spreadsheet would be named with the template being edited
+ */
+function showTitlePreview() {
+  document.getElementById("titlePreview").textContent = formatSpreadsheetTitle(
+    {
+      titleTemplate: document.getElementById("titleTemplate").value,
+      dateFormat: document.getElementById("dateFormat").value,
+    },
+    "Summer trip",
+    12
+  );
+}
+
+/**
+ * Validates the columns, spreadsheet name and date format and stores them
+ * @param {Event} event - The click event
+ */
+function handleSaveExportSettingsClick(event) {
+  const columns = [];
+  const errors = [];
+  const defaultHeaders = SHEET_COLUMNS.map((column) =>
+    column.header.toLowerCase()
+  );
+  const usedHeaders = new Set();
+  const reservedHeaders = [TALLY_HEADER, WISHLIST_COLUMN.header].map((header) =>
+    header.toLowerCase()
+  );
+
+  document.querySelectorAll("#exportColumns tr").forEach((row) => {
+    const header = row.dataset.header;
+    let label = row.querySelector(".column-label").value.trim();
+    if (label === header) {
+      label = "";
+    }
+    const exported = (label || header).toLowerCase();
+
+    // Synced exports find columns by header, so headers must stay unambiguous
+    if (usedHeaders.has(exported)) {
+      errors.push(`"${label || header}" is used for more than one column.`);
+    } else if (label && defaultHeaders.includes(exported)) {
+      errors.push(`"${label}" is the header of another column.`);
+    } else if (
+      reservedHeaders.includes(exported) ||
+      exported.startsWith(VOTE_HEADER_PREFIX.toLowerCase())
+    ) {
+      errors.push(`"${label}" is used by the vote columns.`);
+    }
+    usedHeaders.add(exported);
+
+    // Remember the headers synced sheets may still have, to rename them there
+    let formerLabels = JSON.parse(row.dataset.formerLabels);
+    if (row.dataset.savedLabel && row.dataset.savedLabel !== label) {
+      formerLabels = [row.dataset.savedLabel].concat(formerLabels);
+    }
+
+    const entry = {
+      header: header,
+      enabled: row.querySelector(".column-enabled").checked,
+      formerLabels: formerLabels,
+    };
+    if (label) {
+      entry.label = label;
+    }
+    columns.push(entry);
+  });
+
+  // A former header now used by another column must not be matched anymore
+  columns.forEach((entry) => {
+    entry.formerLabels = entry.formerLabels
+      .filter(
+        (former, index, all) =>
+          all.indexOf(former) === index &&
+          !usedHeaders.has(former.toLowerCase())
+      )
+      .slice(0, MAX_FORMER_LABELS);
+  });
+
+  const titleTemplate = document.getElementById("titleTemplate").value.trim();
+  if (!titleTemplate) {
+    errors.push("Enter a spreadsheet name.");
+  }
+
+  if (errors.length > 0) {
+    showExportSettingsStatus(
+      "The export settings were not saved:\n" + errors.join("\n"),
+      "error"
+    );
+    return;
+  }
+
+  const exportSettings = {
+    columns: columns,
+    titleTemplate: titleTemplate,
+    dateFormat: document.getElementById("dateFormat").value,
+  };
+
+  chrome.storage.sync.set({ exportSettings: exportSettings }, function () {
+    if (chrome.runtime.lastError) {
+      console.error("Error saving export settings:", chrome.runtime.lastError);
+      showExportSettingsStatus(
+        "Failed to save the export settings: " +
+          chrome.runtime.lastError.message,
+        "error"
+      );
+      return;
+    }
+
+    showExportSettingsStatus(
+      "Saved the export settings. They are used from the next export on.",
+      "success"
+    );
+    showExportSettings();
+  });
+}
+
+/**
+ * Removes the stored export settings so the default columns and spreadsheet
+ * name are used again
+ * @param {Event} event - The click event
+ */
+function handleResetExportSettingsClick(event) {
+  chrome.storage.sync.remove(["exportSettings"], function () {
+    if (chrome.runtime.lastError) {
+      console.error(
+        "Error resetting export settings:",
+        chrome.runtime.lastError
+      );
+      showExportSettingsStatus("Failed to reset the export settings.", "error");
+      return;
+    }
+
+    showExportSettingsStatus(
+      "Using the default export settings again.",
+      "success"
+    );
+    showExportSettings();
+  });
+}
+
+/**
+ * Displays a status message below the export settings
+ * @param {string} message - The message to display
+ * @param {string} type - The type of message ('success' or 'error')
+ */
+function showExportSettingsStatus(message, type) {
+  console.log("Status:", message, type);
+  const statusElement = document.getElementById("exportSettingsStatus");
+  statusElement.textContent = message;
+  statusElement.className = "status " + type;
+  statusElement.style.display = "block";
+}
+
+/**
+ * Shows one row per scoring criterion with its weight and direction
+ */
+function showScoringCriteria() {
+  loadScoringCriteria().then((criteria) => {
+    const tbody = document.getElementById("scoringCriteria");
+    tbody.textContent = "";
+
+    criteria.forEach((criterion) => {
+      const weight = document.createElement("input");
+      weight.type = "number";
+      weight.min = "0";
+      weight.step = "any";
+      weight.className = "scoring-weight";
+      weight.value = criterion.weight;
+
+      const direction = document.createElement("select");
+      direction.className = "scoring-direction";
+      SCORING_DIRECTIONS.forEach((value) => {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = value + " is better";
+        direction.appendChild(option);
+      });
+      direction.value = criterion.direction;
+
+      const row = tbody.insertRow();
+      row.dataset.header = criterion.header;
+      row.insertCell().textContent = criterion.header;
+      row.insertCell().appendChild(weight);
+      row.insertCell().appendChild(direction);
+    });
+  });
+}
+
+/**
+ * Validates the weights in the table and stores them
+ * @param {Event} event - The click event
+ */
+function handleSaveScoringClick(event) {
+  const scoringWeights = {};
+  const invalid = [];
+  document.querySelectorAll("#scoringCriteria tr").forEach((row) => {
+    const weightInput = row.querySelector(".scoring-weight");
+    const weight = weightInput.value === "" ? NaN : Number(weightInput.value);
+    if (!isValidWeight(weight)) {
+      invalid.push(row.dataset.header);
+      return;
+    }
+    scoringWeights[row.dataset.header] = {
+      weight: weight,
+      direction: row.querySelector(".scoring-direction").value,
+    };
+  });
+
+  if (invalid.length > 0) {
+    showScoringStatus(
+      "Weights must be numbers from 0 up: " + invalid.join(", "),
+      "error"
+    );
+    return;
+  }
+
+  chrome.storage.local.set({ scoringWeights: scoringWeights }, function () {
+    if (chrome.runtime.lastError) {
+      console.error("Error saving weights:", chrome.runtime.lastError);
+      showScoringStatus(
+        "Failed to save the weights: " + chrome.runtime.lastError.message,
+        "error"
+      );
+      return;
+    }
+
+    showScoringStatus(
+      "Saved the weights. They are used from the next export on.",
+      "success"
+    );
+  });
+}
+
+/**
+ * Removes the stored weights so the default ones are used again
+ * @param {Event} event - The click event
+ */
+function handleResetScoringClick(event) {
+  chrome.storage.local.remove(["scoringWeights"], function () {
+    if (chrome.runtime.lastError) {
+      console.error("Error resetting weights:", chrome.runtime.lastError);
+      showScoringStatus("Failed to reset the weights.", "error");
+      return;
+    }
+
+    showScoringStatus("Using the default weights again.", "success");
+    showScoringCriteria();
+  });
+}
+
+/**
+ * Displays a status message below the scoring weights
+ * @param {string} message - The message to display
+ * @param {string} type - The type of message ('success' or 'error')
+ */
+function showScoringStatus(message, type) {
+  console.log("Status:", message, type);
+  const statusElement = document.getElementById("scoringStatus");
+  statusElement.textContent = message;
+  statusElement.className = "status " + type;
+  statusElement.style.display = "block";
+}
+
+/**
+ * Shows the participants, one per line
+ */
+function showParticipants() {
+  loadParticipants().then((participants) => {
+    document.getElementById("participants").value = participants.join("\n");
+  });
+}
+
+/**
+ * Stores the participants entered, one per line
+ * @param {Event} event - The click event
+ */
+function handleSaveParticipantsClick(event) {
+  const participants = normalizeParticipants(
+    document.getElementById("participants").value.split("\n")
+  );
+
+  chrome.storage.local.set({ participants: participants }, function () {
+    if (chrome.runtime.lastError) {
+      console.error("Error saving participants:", chrome.runtime.lastError);
+      showParticipantsStatus(
+        "Failed to save the participants: " + chrome.runtime.lastError.message,
+        "error"
+      );
+      return;
+    }
+
+    showParticipantsStatus(
+      participants.length > 0
+        ? `Saved ${participants.length} participant(s). Their vote columns are added from the next export on.`
+        : "Removed all participants. Exports no longer add vote columns.",
+      "success"
+    );
+    showParticipants();
+  });
+}
+
+/**
+ * Displays a status message below the participants
+ * @param {string} message - The message to display
+ * @param {string} type - The type of message ('success' or 'error')
+ */
+function showParticipantsStatus(message, type) {
+  console.log("Status:", message, type);
+  const statusElement = document.getElementById("participantsStatus");
+  statusElement.textContent = message;
+  statusElement.className = "status " + type;
+  statusElement.style.display = "block";
+}
+
+/**
+ * Shows the tracked wishlists with their re-sync interval and last run, and
+ * the log of recent runs
+ */
+function showSyncSchedules() {
+  Promise.all([
+    loadTrackedWishlists(),
+    loadSyncSchedules(),
+    loadSyncRunLog(),
+  ]).then(([tracked, schedules, runLog]) => {
+    const tbody = document.getElementById("syncSchedules");
+    tbody.textContent = "";
+
+    const wishlistIds = Object.keys(tracked);
+    document.getElementById("noTrackedWishlists").style.display =
+      wishlistIds.length === 0 ? "block" : "none";
+
+    wishlistIds.forEach((wishlistId) => {
+      const wishlist = tracked[wishlistId];
+
+      const link = document.createElement("a");
+      link.href = wishlist.url;
+      link.target = "_blank";
+      link.textContent = wishlist.name || wishlistId;
+
+      const interval = document.createElement("select");
+      interval.dataset.wishlistId = wishlistId;
+      SYNC_INTERVAL_CHOICES.forEach((hours) => {
+        const option = document.createElement("option");
+        option.value = hours;
+        option.textContent = describeSyncInterval(hours);
+        interval.appendChild(option);
+      });
+      interval.value = schedules[wishlistId] || 0;
+      interval.addEventListener("change", handleSyncIntervalChange);
+
+      const lastRun = runLog.find((run) => run.wishlistId === wishlistId);
+
+      const row = tbody.insertRow();
+      row.insertCell().appendChild(link);
+      row.insertCell().appendChild(interval);
+      row.insertCell().textContent = lastRun ? describeSyncRun(lastRun) : "-";
+    });
+
+    const logList = document.getElementById("syncRunLog");
+    logList.textContent = "";
+    runLog.slice(0, 10).forEach((run) => {
+      const item = document.createElement("li");
+      item.textContent = `${run.wishlistName}: ${describeSyncRun(run)}`;
+      logList.appendChild(item);
+    });
+  });
+}
+
+/**
+ * Describes the result of a scheduled run
+ * @param {Object} run - The run from the sync log
+ * @returns {string} The time of the run and its result
+ */
+function describeSyncRun(run) {
+  const time = new Date(run.finishedAt || run.startedAt).toLocaleString();
+  if (!run.success) {
+    return `${time} - failed: ${run.error}`;
+  }
+  const stats = run.stats || {};
+  return `${time} - ${stats.updated || 0} updated, ${stats.added || 0} added, ${
+    stats.removed || 0
+  } removed`;
+}
+
+/**
+ * Stores the re-sync interval chosen for a wishlist. The background service
+ * worker updates its alarms when the schedules change.
+ * @param {Event} event - The change event of the interval select
+ */
+function handleSyncIntervalChange(event) {
+  const wishlistId = this.dataset.wishlistId;
+  const hours = Number(this.value);
+
+  loadSyncSchedules().then((schedules) => {
+    if (hours > 0) {
+      schedules[wishlistId] = hours;
+    } else {
+      delete schedules[wishlistId];
+    }
+
+    chrome.storage.local.set({ syncSchedules: schedules }, function () {
+      if (chrome.runtime.lastError) {
+        console.error("Error saving schedule:", chrome.runtime.lastError);
+        showScheduleStatus(
+          "Failed to save the schedule: " + chrome.runtime.lastError.message,
+          "error"
+        );
+        return;
+      }
+
+      showScheduleStatus(
+        hours > 0
+          ? `${describeSyncInterval(
+              hours
+            )}, starting ${hours} hour(s) from now.`
+          : "Scheduled sync turned off.",
+        "success"
+      );
+    });
+  });
+}
+
+/**
+ * Displays a status message below the scheduled syncs
+ * @param {string} message - The message to display
+ * @param {string} type - The type of message ('success' or 'error')
+ */
+function showScheduleStatus(message, type) {
+  console.log("Status:", message, type);
+  const statusElement = document.getElementById("scheduleStatus");
+  statusElement.textContent = message;
+  statusElement.className = "status " + type;
+  statusElement.style.display = "block";
+}
+
+/**
+ * Shows the alert settings
+ */
+function showAlertSettings() {
+  loadAlertSettings().then((settings) => {
+    document.getElementById("alertPriceBelow").value =
+      settings.priceBelow ?? "";
+    document.getElementById("alertDropPercent").value =
+      settings.dropPercent ?? "";
+    document.getElementById("alertRemoved").checked = settings.removed;
+    document.getElementById("alertUnavailable").checked = settings.unavailable;
+  });
+}
+
+/**
+ * Validates the alert settings and stores them
+ * @param {Event} event - The click event
+ */
+function handleSaveAlertsClick(event) {
+  const priceBelow = readOptionalAmount("alertPriceBelow");
+  const dropPercent = readOptionalAmount("alertDropPercent");
+  if (Number.isNaN(priceBelow) || Number.isNaN(dropPercent)) {
+    showAlertsStatus("Amounts must be positive numbers.", "error");
+    return;
+  }
+  if (dropPercent !== null && dropPercent > 100) {
+    showAlertsStatus("A price cannot drop by more than 100%.", "error");
+    return;
+  }
+
+  const alertSettings = {
+    priceBelow: priceBelow,
+    dropPercent: dropPercent,
+    removed: document.getElementById("alertRemoved").checked,
+    unavailable: document.getElementById("alertUnavailable").checked,
+  };
+
+  chrome.storage.local.set({ alertSettings: alertSettings }, function () {
+    if (chrome.runtime.lastError) {
+      console.error("Error saving alert settings:", chrome.runtime.lastError);
+      showAlertsStatus(
+        "Failed to save the notifications: " + chrome.runtime.lastError.message,
+        "error"
+      );
+      return;
+    }
+
+    showAlertsStatus(
+      "Saved. Changes are compared from the next export on.",
+      "success"
+    );
+  });
+}
+
+/**
+ * Reads an optional amount from a number input
+ * @param {string} inputId - The ID of the input
+ * @returns {number|null} The amount, null if the input is empty, or NaN if
+ *   it is not a positive number
+ */
+function readOptionalAmount(inputId) {
+  const value = document.getElementById(inputId).value.trim();
+  if (value === "") {
+    return null;
+  }
+  const amount = Number(value);
+  return amount > 0 ? amount : NaN;
+}
+
+/**
+ * Displays a status message below the alert settings
+ * @param {string} message - The message to display
+ * @param {string} type - The type of message ('success' or 'error')
+ */
+function showAlertsStatus(message, type) {
+  console.log("Status:", message, type);
+  const statusElement = document.getElementById("alertsStatus");
+  statusElement.textContent = message;
+  statusElement.className = "status " + type;
+  statusElement.style.display = "block";
+}
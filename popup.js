@@ -2,8 +2,9 @@
  * Airbnb Wishlist to Google Sheets Extension
  * Popup Script (popup.js)
  *
- * This script handles the extension popup UI interactions and coordinates
- * between the content script and background script.
+ * This script handles the extension popup UI interactions. Exports to Google
+ * Sheets run as a job in the background script, which the popup follows
+ * through a port; file downloads are extracted and built in the popup.
  */
 
 document.addEventListener("DOMContentLoaded", function () {
@@ -14,8 +15,77 @@ document.addEventListener("DOMContentLoaded", function () {
 
   // Set up event listeners
   setupEventListeners();
+
+  // Pick up an export that is running or finished while the popup was closed
+  connectToExportJob();
 });
 
+// The last content script response, kept for the debug bundle
+let lastExtraction = null;
+// Export waiting for the user to confirm the health warning, as the
+// functions run when the user exports anyway or cancels
+let pendingExport = null;
+// Port to the export job in the background script
+let exportJobPort = null;
+
+// Show progress reported by the content script while it loads listings for a download
+chrome.runtime.onMessage.addListener(function (request) {
+  if (request.action === "extractionProgress") {
+    showProgress(request);
+  }
+});
+
+/**
+ * Shows the progress of an extraction or export
+ * @param {Object} progress - The progress event, named by its action
+ */
+function showProgress(progress) {
+  if (progress.action === "extractionProgress") {
+    showStatus(formatListingCount(progress.found, progress.total), "success");
+  }
+
+  if (progress.action === "savingProgress") {
+    showStatus(
+      `${formatListingCount(
+        progress.found,
+        progress.total
+      )}. Saving to Google Sheets...`,
+      "success"
+    );
+  }
+
+  if (progress.action === "wishlistsFound") {
+    showStatus(`Found ${progress.count} wishlists. Exporting...`, "success");
+  }
+
+  if (progress.action === "exportAllProgress") {
+    showStatus(
+      `Loading wishlist ${progress.current} of ${progress.total}: ${progress.wishlistName}...`,
+      "success"
+    );
+  }
+
+  if (progress.action === "deepExtractProgress") {
+    showStatus(
+      `Visiting listing page ${progress.current} of ${progress.total}...`,
+      "success"
+    );
+  }
+}
+
+/**
+ * Formats a listing count as "found N of M listings" (or "found N listings"
+ * when the wishlist total is unknown)
+ * @param {number} found - The number of listings found
+ * @param {number|null} total - The number of listings in the wishlist, if known
+ * @returns {string} The formatted count
+ */
+function formatListingCount(found, total) {
+  return total
+    ? `Found ${found} of ${total} listings`
+    : `Found ${found} listings`;
+}
+
 /**
  * Initializes the popup by checking authentication status
  * and updating UI accordingly
@@ -23,7 +93,14 @@ document.addEventListener("DOMContentLoaded", function () {
 function initializePopup() {
   // Check if user is authenticated
   chrome.storage.local.get(
-    ["token", "spreadsheetId", "spreadsheetUrl"],
+    [
+      "token",
+      "spreadsheetUrl",
+      "syncMode",
+      "deepExtract",
+      "destination",
+      "recentSpreadsheets",
+    ],
     function (data) {
       if (chrome.runtime.lastError) {
         console.error("Storage error:", chrome.runtime.lastError);
@@ -52,6 +129,12 @@ function updateUIForAuthenticatedUser(data) {
   document.getElementById("loginStatus").style.display = "none";
   document.getElementById("extractionControls").style.display = "block";
 
+  // Sync mode is on unless the user turned it off
+  document.getElementById("syncMode").checked = data.syncMode !== false;
+  document.getElementById("deepExtract").checked = data.deepExtract === true;
+  document.getElementById("destination").value = data.destination || "";
+  showRecentSpreadsheets(data.recentSpreadsheets || []);
+
   if (data.spreadsheetUrl) {
     document.getElementById("spreadsheetUrl").style.display = "block";
     // Store the URL for the button to use
@@ -61,6 +144,21 @@ function updateUIForAuthenticatedUser(data) {
   }
 }
 
+/**
+ * Offers the spreadsheets recently exported to as destinations
+ * @param {Array} recentSpreadsheets - The spreadsheets, each with its title and URL
+ */
+function showRecentSpreadsheets(recentSpreadsheets) {
+  const datalist = document.getElementById("recentSpreadsheets");
+  datalist.textContent = "";
+  recentSpreadsheets.forEach((spreadsheet) => {
+    const option = document.createElement("option");
+    option.value = spreadsheet.url;
+    option.label = spreadsheet.title;
+    datalist.appendChild(option);
+  });
+}
+
 /**
  * Updates the UI for an unauthenticated user
  */
@@ -88,6 +186,69 @@ function setupEventListeners() {
   document
     .getElementById("extract")
     .addEventListener("click", handleExtractClick);
+
+  // Handle exporting every wishlist from the overview page
+  document
+    .getElementById("exportAll")
+    .addEventListener("click", handleExportAllClick);
+
+  // Handle file downloads (CSV, JSON, XLSX)
+  document.querySelectorAll(".download-button").forEach(function (button) {
+    button.addEventListener("click", handleDownloadClick);
+  });
+
+  // Handle the extraction health report
+  document
+    .getElementById("exportAnyway")
+    .addEventListener("click", handleExportAnywayClick);
+  document
+    .getElementById("cancelExport")
+    .addEventListener("click", handleCancelExportClick);
+  document
+    .getElementById("downloadDebugBundle")
+    .addEventListener("click", handleDownloadDebugBundleClick);
+
+  // Handle canceling the running export
+  document
+    .getElementById("cancelJob")
+    .addEventListener("click", handleCancelJobClick);
+
+  // Remember the sync mode and deep extract choices
+  document
+    .getElementById("syncMode")
+    .addEventListener("change", handleOptionChange);
+  document
+    .getElementById("deepExtract")
+    .addEventListener("change", handleOptionChange);
+
+  // Remember the spreadsheet to write into, which is usually the same one
+  document
+    .getElementById("destination")
+    .addEventListener("change", handleDestinationChange);
+}
+
+/**
+ * Handles changes to the option checkboxes, storing them under their element ID
+ * @param {Event} event - The change event
+ */
+function handleOptionChange(event) {
+  chrome.storage.local.set({ [this.id]: this.checked }, function () {
+    if (chrome.runtime.lastError) {
+      console.error("Error saving option:", chrome.runtime.lastError);
+    }
+  });
+}
+
+/**
+ * Stores the spreadsheet to write into
+ * @param {Event} event - The change event
+ */
+function handleDestinationChange(event) {
+  chrome.storage.local.set({ destination: this.value.trim() }, function () {
+    if (chrome.runtime.lastError) {
+      console.error("Error saving destination:", chrome.runtime.lastError);
+    }
+  });
 }
 
 /**
@@ -162,6 +323,388 @@ function handleExtractClick(event) {
   extractButton.disabled = true;
   extractButton.textContent = "Extracting...";
 
+  findWishlistTab(function (tab) {
+    // The background script extracts the wishlist and saves it to Google Sheets
+    startExportJob({
+      kind: "wishlist",
+      tabId: tab.id,
+      syncMode: document.getElementById("syncMode").checked,
+      destination: document.getElementById("destination").value.trim(),
+      sheetTitle: document.getElementById("sheetTitle").value.trim(),
+    });
+  });
+}
+
+/**
+ * Handles click on the Export All Wishlists button
+ * @param {Event} event - The click event
+ */
+function handleExportAllClick(event) {
+  console.log("Export all button clicked");
+
+  // Disable button to prevent multiple clicks
+  const exportAllButton = document.getElementById("exportAll");
+  exportAllButton.disabled = true;
+  exportAllButton.textContent = "Exporting...";
+
+  chrome.tabs.query({ active: true, currentWindow: true }, function (tabs) {
+    if (chrome.runtime.lastError) {
+      console.error("Error accessing tabs:", chrome.runtime.lastError);
+      showStatus("Failed to access current tab. Please try again.", "error");
+      resetExtractButton();
+      return;
+    }
+
+    // Wishlists are discovered from the overview page, e.g. airbnb.com/wishlists
+    const currentTab = tabs[0];
+    if (!/\/wishlists\/?$/.test(new URL(currentTab.url).pathname)) {
+      showStatus(
+        "Please navigate to your Airbnb wishlists overview (/wishlists) first",
+        "error"
+      );
+      resetExtractButton();
+      return;
+    }
+
+    // The background script loads each wishlist in a background tab
+    showStatus("Finding your wishlists...", "success");
+    startExportJob({ kind: "allWishlists", tabId: currentTab.id });
+  });
+}
+
+/**
+ * Connects to the export job in the background script, which then reports
+ * the running job or the result of the last one
+ * @returns {Object} The port
+ */
+function connectToExportJob() {
+  if (exportJobPort) {
+    return exportJobPort;
+  }
+
+  exportJobPort = chrome.runtime.connect({ name: "exportJob" });
+  exportJobPort.onMessage.addListener(handleExportJobEvent);
+  exportJobPort.onDisconnect.addListener(function () {
+    // The service worker stopped; the next export connects again
+    exportJobPort = null;
+  });
+  return exportJobPort;
+}
+
+/**
+ * Starts an export job in the background script
+ * @param {Object} options - The kind of job, the tab it reads and its options
+ */
+function startExportJob(options) {
+  setExportJobRunning(true);
+  connectToExportJob().postMessage(
+    Object.assign(
+      {
+        action: "start",
+        exporter: "googleSheets",
+        deepExtract: document.getElementById("deepExtract").checked,
+      },
+      options
+    )
+  );
+}
+
+/**
+ * Handles the events of the export job
+ * @param {Object} event - The event sent by the background script
+ */
+function handleExportJobEvent(event) {
+  console.log("Export job event:", event.type);
+
+  if (event.type === "progress") {
+    showProgress(event.progress);
+  }
+
+  if (event.type === "extracted") {
+    showExtraction(event.extraction);
+  }
+
+  if (event.type === "confirm") {
+    showHealthWarning(event.emptyFields, {
+      confirm: () => connectToExportJob().postMessage({ action: "confirm" }),
+      cancel: () => connectToExportJob().postMessage({ action: "cancel" }),
+    });
+  }
+
+  if (event.type === "finished") {
+    showExportJobResult(event.job);
+  }
+
+  if (event.type === "attached") {
+    showAttachedExportJob(event.job, event.extraction);
+  }
+}
+
+/**
+ * Shows the export job found when the popup opened: its progress while it
+ * runs, or its result if it finished while the popup was closed
+ * @param {Object} job - The job, as described by the background script
+ * @param {Object|null} extraction - The content script response of the job, if any
+ */
+function showAttachedExportJob(job, extraction) {
+  if (job.state !== "running" && job.state !== "confirming") {
+    if (!job.reported) {
+      showExportJobResult(job);
+    }
+    return;
+  }
+
+  setExportJobRunning(true);
+  if (extraction) {
+    showExtraction(extraction);
+  }
+
+  if (job.state === "confirming") {
+    handleExportJobEvent({ type: "confirm", emptyFields: job.emptyFields });
+  } else if (job.progress) {
+    showProgress(job.progress);
+  } else {
+    showStatus("Export in progress...", "success");
+  }
+}
+
+/**
+ * Shows the result of a finished export job
+ * @param {Object} job - The job, as described by the background script
+ */
+function showExportJobResult(job) {
+  setExportJobRunning(false);
+  hideHealthWarning();
+
+  if (job.state === "canceled") {
+    showStatus("Export canceled", "error");
+  } else if (job.error) {
+    showStatus(job.error, "error");
+  } else if (job.response && job.response.success) {
+    if (job.kind === "allWishlists") {
+      handleSuccessfulExportAll(job.response);
+    } else {
+      handleSuccessfulSave(job.response);
+    }
+  } else {
+    handleFailedSave(job.response);
+  }
+}
+
+/**
+ * Shows the health report of an extraction run by the export job
+ * @param {Object} extraction - The content script response (successful or not)
+ */
+function showExtraction(extraction) {
+  if (extraction.success && Array.isArray(extraction.data)) {
+    showHealthReport(extraction, computeFieldCoverage(extraction.data));
+  } else if (extraction.debug) {
+    // Offer the page snapshot so the failure can be reported
+    showHealthReport(extraction, []);
+  }
+}
+
+/**
+ * Handles click on the Cancel Export button
+ * @param {Event} event - The click event
+ */
+function handleCancelJobClick(event) {
+  this.disabled = true;
+  this.textContent = "Canceling...";
+  connectToExportJob().postMessage({ action: "cancel" });
+}
+
+/**
+ * Disables the export buttons and shows the Cancel Export button while an
+ * export job runs
+ * @param {boolean} running - Whether an export job is running
+ */
+function setExportJobRunning(running) {
+  const cancelJobButton = document.getElementById("cancelJob");
+  cancelJobButton.style.display = running ? "block" : "none";
+  cancelJobButton.disabled = false;
+  cancelJobButton.textContent = "Cancel Export";
+
+  if (running) {
+    const extractButton = document.getElementById("extract");
+    extractButton.disabled = true;
+    extractButton.textContent = "Exporting...";
+    const exportAllButton = document.getElementById("exportAll");
+    exportAllButton.disabled = true;
+    setDownloadButtonsDisabled(true);
+  } else {
+    resetExtractButton();
+  }
+}
+
+/**
+ * Handles click on one of the Download buttons
+ * @param {Event} event - The click event
+ */
+function handleDownloadClick(event) {
+  const format = this.getAttribute("data-format");
+  console.log("Download button clicked:", format);
+
+  // Disable buttons to prevent multiple clicks
+  setDownloadButtonsDisabled(true);
+
+  startExtraction(function (response) {
+    confirmExtractionHealth(response, function () {
+      showStatus(`Preparing ${format.toUpperCase()} download...`, "success");
+
+      downloadWishlistFile(response.data, response.wishlistName, format)
+        .then(function () {
+          showStatus(
+            `Downloaded ${
+              response.data.length
+            } listings as ${format.toUpperCase()}`,
+            "success"
+          );
+        })
+        .catch(function (error) {
+          console.error("Download error:", error);
+          showStatus("Failed to download file: " + error.message, "error");
+        });
+    });
+  });
+}
+
+/**
+ * Shows the coverage of an extraction and runs the export, first asking the
+ * user when a required field is empty for every listing
+ * @param {Object} response - The content script response
+ * @param {function} onConfirmed - Runs the export
+ */
+function confirmExtractionHealth(response, onConfirmed) {
+  const coverage = computeFieldCoverage(response.data);
+  console.log("Extraction coverage:", coverage);
+  showHealthReport(response, coverage);
+
+  const emptyFields = findEmptyFields(coverage);
+  if (emptyFields.length === 0) {
+    onConfirmed();
+    return;
+  }
+
+  // Airbnb probably changed its pages, so let the user decide
+  showHealthWarning(emptyFields, {
+    confirm: onConfirmed,
+    cancel: () => showStatus("Export canceled", "error"),
+  });
+}
+
+/**
+ * Warns that required fields are empty for every listing and waits for the
+ * user to export anyway or cancel
+ * @param {Array} emptyFields - The labels of the empty fields
+ * @param {Object} pending - The functions run on confirm and on cancel
+ */
+function showHealthWarning(emptyFields, pending) {
+  pendingExport = pending;
+  document.getElementById("healthWarningText").textContent =
+    `No ${emptyFields.join(", ")} found for any listing. ` +
+    "Airbnb may have changed its pages, so these columns would be empty.";
+  document.getElementById("healthWarning").style.display = "block";
+}
+
+/**
+ * Shows the extraction health report: the coverage table and the debug bundle button
+ * @param {Object} response - The content script response (successful or not)
+ * @param {Array} coverage - The coverage computed by computeFieldCoverage, empty if nothing was extracted
+ */
+function showHealthReport(response, coverage) {
+  lastExtraction = response;
+
+  const table = document.getElementById("coverageTable");
+  table.textContent = "";
+  coverage.forEach(function (field) {
+    const row = table.insertRow();
+    row.insertCell().textContent = field.label;
+
+    const countCell = row.insertCell();
+    countCell.textContent =
+      `${field.filled}/${field.total}` +
+      (field.byPattern ? ` (${field.byPattern} by pattern)` : "");
+    if (field.filled === 0 && !field.optional) {
+      countCell.className = "coverage-empty";
+    } else if (field.filled < field.total && !field.optional) {
+      countCell.className = "coverage-partial";
+    }
+  });
+
+  document.getElementById("healthReport").style.display = "block";
+}
+
+/**
+ * Hides the health warning and forgets the export waiting for it
+ */
+function hideHealthWarning() {
+  pendingExport = null;
+  document.getElementById("healthWarning").style.display = "none";
+}
+
+/**
+ * Handles click on the Export Anyway button of the health warning
+ * @param {Event} event - The click event
+ */
+function handleExportAnywayClick(event) {
+  const pending = pendingExport;
+  hideHealthWarning();
+  if (pending) {
+    pending.confirm();
+  }
+}
+
+/**
+ * Handles click on the Cancel button of the health warning
+ * @param {Event} event - The click event
+ */
+function handleCancelExportClick(event) {
+  const pending = pendingExport;
+  hideHealthWarning();
+  if (pending) {
+    pending.cancel();
+  }
+}
+
+/**
+ * Handles click on the Download Debug Bundle button
+ * @param {Event} event - The click event
+ */
+function handleDownloadDebugBundleClick(event) {
+  if (!lastExtraction) {
+    return;
+  }
+
+  downloadDebugBundle(lastExtraction)
+    .then(function () {
+      showStatus("Debug bundle downloaded", "success");
+    })
+    .catch(function (error) {
+      console.error("Debug bundle error:", error);
+      showStatus("Failed to download debug bundle: " + error.message, "error");
+    });
+}
+
+/**
+ * Checks that the current tab shows an Airbnb wishlist and extracts its data
+ * @param {function} onExtracted - Called with the content script response once listings were extracted
+ */
+function startExtraction(onExtracted) {
+  findWishlistTab(function (tab) {
+    checkAndInjectContentScript(tab, function (tabId) {
+      extractWishlistData(tabId, onExtracted);
+    });
+  });
+}
+
+/**
+ * Checks that the current tab shows an Airbnb wishlist
+ * @param {function} onFound - Called with the tab if it shows a wishlist
+ */
+function findWishlistTab(onFound) {
+  hideHealthWarning();
+
   // Check if we're on an Airbnb wishlist page
   chrome.tabs.query({ active: true, currentWindow: true }, function (tabs) {
     const currentTab = tabs[0];
@@ -184,7 +727,7 @@ function handleExtractClick(event) {
     showStatus("Extracting data from wishlist...", "success");
 
     // Proceed with extraction
-    checkAndInjectContentScript(currentTab);
+    onFound(currentTab);
   });
 
   /**
@@ -193,16 +736,16 @@ function handleExtractClick(event) {
    */
   function handleExtractError(errorMessage) {
     showStatus(errorMessage, "error");
-    extractButton.disabled = false;
-    extractButton.textContent = "Extract Wishlist Data";
+    resetExtractButton();
   }
 }
 
 /**
  * Checks if content script is loaded and injects it if necessary
  * @param {Object} tab - The current tab
+ * @param {function} onReady - Called with the tab ID once the content script is loaded
  */
-function checkAndInjectContentScript(tab) {
+function checkAndInjectContentScript(tab, onReady) {
   try {
     // Check if content script is already injected
     chrome.tabs.sendMessage(
@@ -213,11 +756,11 @@ function checkAndInjectContentScript(tab) {
 
         if (hasError) {
           console.log("Content script not ready:", chrome.runtime.lastError);
-          injectContentScript(tab);
+          injectContentScript(tab, onReady);
         } else {
           // Content script is already loaded, proceed with extraction
           console.log("Content script is ready, proceeding with extraction");
-          extractWishlistData(tab.id);
+          onReady(tab.id);
         }
       }
     );
@@ -231,14 +774,15 @@ function checkAndInjectContentScript(tab) {
 /**
  * Injects the content script into the current tab
  * @param {Object} tab - The current tab
+ * @param {function} onReady - Called with the tab ID once the content script is loaded
  */
-function injectContentScript(tab) {
+function injectContentScript(tab, onReady) {
   console.log("Injecting content script");
 
   chrome.scripting.executeScript(
     {
       target: { tabId: tab.id },
-      files: ["content.js"],
+      files: ["locales.js", "selectors.js", "content.js"],
     },
     function () {
       if (chrome.runtime.lastError) {
@@ -257,7 +801,7 @@ function injectContentScript(tab) {
       // Now try extracting after a short delay to allow script to initialize
       console.log("Content script injected, waiting for initialization");
       setTimeout(function () {
-        extractWishlistData(tab.id);
+        onReady(tab.id);
       }, 1000);
     }
   );
@@ -266,8 +810,9 @@ function injectContentScript(tab) {
 /**
  * Extracts wishlist data from the page
  * @param {number} tabId - The ID of the current tab
+ * @param {function} onExtracted - Called with the extraction response
  */
-function extractWishlistData(tabId) {
+function extractWishlistData(tabId, onExtracted) {
   chrome.tabs.sendMessage(
     tabId,
     { action: "extractWishlistData" },
@@ -301,6 +846,10 @@ function extractWishlistData(tabId) {
       if (!response.success) {
         const errorMsg = response.error || "Unknown error";
         showStatus("Failed to extract data: " + errorMsg, "error");
+        // Offer the page snapshot so the failure can be reported
+        if (response.debug) {
+          showHealthReport(response, []);
+        }
         return;
       }
 
@@ -318,83 +867,79 @@ function extractWishlistData(tabId) {
         `Successfully extracted ${response.data.length} wishlist items`
       );
 
-      // Process the extracted data
-      processExtractedData(response.data, response.wishlistName);
+      onExtracted(response);
     }
   );
 }
 
 /**
- * Processes extracted wishlist data and saves it to Google Sheets
- * @param {Array} wishlistData - The extracted wishlist data
- * @param {string} wishlistName - The name of the wishlist
+ * Handles successful save to Google Sheets
+ * @param {Object} sheetsResponse - The response from the Google Sheets API
  */
-function processExtractedData(wishlistData, wishlistName) {
+function handleSuccessfulSave(sheetsResponse) {
+  if (sheetsResponse.synced && sheetsResponse.stats) {
+    const stats = sheetsResponse.stats;
+    showStatus(
+      `Spreadsheet synced: ${stats.updated} updated, ${stats.added} added, ${stats.removed} removed`,
+      "success"
+    );
+  } else {
+    showStatus("Data successfully exported to Google Sheets!", "success");
+  }
+
+  // A blocked or interrupted deep extract continues on the next export
+  const deepExtract = sheetsResponse.deepExtract;
+  if (deepExtract && deepExtract.remaining > 0) {
+    showStatus(
+      `Exported, but ${deepExtract.remaining} listing pages could not be read yet. Export again later to continue the deep extract.`,
+      "error"
+    );
+  }
+
+  showSpreadsheet(sheetsResponse.url);
+}
+
+/**
+ * Handles a successful export of every wishlist
+ * @param {Object} sheetsResponse - The response from the background script
+ */
+function handleSuccessfulExportAll(sheetsResponse) {
   showStatus(
-    `Saving ${wishlistData.length} listings to Google Sheets...`,
+    `Exported ${sheetsResponse.listingCount} listings from ${sheetsResponse.wishlistCount} wishlists`,
     "success"
   );
 
-  // Send data to background script to handle Google Sheets API calls
-  chrome.runtime.sendMessage(
-    {
-      action: "saveToGoogleSheets",
-      wishlistData: wishlistData,
-      wishlistName: wishlistName,
-    },
-    function (sheetsResponse) {
-      if (chrome.runtime.lastError) {
-        console.error(
-          "Error saving to Google Sheets:",
-          chrome.runtime.lastError
-        );
-        showStatus(
-          "Error saving to Google Sheets: " + chrome.runtime.lastError.message,
-          "error"
-        );
-        return;
-      }
-
-      console.log("Google Sheets response:", sheetsResponse);
+  if (sheetsResponse.skipped && sheetsResponse.skipped.length > 0) {
+    showStatus(
+      `Exported ${
+        sheetsResponse.wishlistCount
+      } wishlists, but these could not be loaded: ${sheetsResponse.skipped.join(
+        ", "
+      )}`,
+      "error"
+    );
+  }
 
-      if (sheetsResponse && sheetsResponse.success) {
-        handleSuccessfulSave(sheetsResponse);
-      } else {
-        handleFailedSave(sheetsResponse);
-      }
-    }
-  );
+  showSpreadsheet(sheetsResponse.url);
 }
 
 /**
- * Handles successful save to Google Sheets
- * @param {Object} sheetsResponse - The response from the Google Sheets API
+ * Shows the Open Spreadsheet button for an exported spreadsheet. The
+ * background script stores its URL and opens it when the export finishes.
+ * @param {string} url - The URL of the spreadsheet
  */
-function handleSuccessfulSave(sheetsResponse) {
-  showStatus("Data successfully exported to Google Sheets!", "success");
+function showSpreadsheet(url) {
+  if (!url) {
+    console.error("Spreadsheet URL is missing");
+    return;
+  }
 
   // Update UI to show spreadsheet link
   document.getElementById("spreadsheetUrl").style.display = "block";
 
   // Store the URL as a data attribute on the button
   const openSpreadsheetButton = document.getElementById("openSpreadsheet");
-  openSpreadsheetButton.setAttribute("data-url", sheetsResponse.spreadsheetUrl);
-
-  // Save spreadsheet info
-  chrome.storage.local.set({
-    spreadsheetId: sheetsResponse.spreadsheetId,
-    spreadsheetUrl: sheetsResponse.spreadsheetUrl,
-  });
-
-  // Automatically open the spreadsheet in a new tab
-  console.log("Opening spreadsheet in new tab:", sheetsResponse.spreadsheetUrl);
-  if (sheetsResponse.spreadsheetUrl) {
-    chrome.tabs.create({
-      url: sheetsResponse.spreadsheetUrl,
-    });
-  } else {
-    console.error("Spreadsheet URL is missing:", sheetsResponse);
-  }
+  openSpreadsheetButton.setAttribute("data-url", url);
 }
 
 /**
@@ -420,12 +965,26 @@ function handleFailedSave(sheetsResponse) {
 }
 
 /**
- * Resets the extract button to its original state
+ * Resets the extract, export all and download buttons to their original state
  */
 function resetExtractButton() {
   const extractButton = document.getElementById("extract");
   extractButton.disabled = false;
   extractButton.textContent = "Extract Wishlist Data";
+  const exportAllButton = document.getElementById("exportAll");
+  exportAllButton.disabled = false;
+  exportAllButton.textContent = "Export All Wishlists";
+  setDownloadButtonsDisabled(false);
+}
+
+/**
+ * Enables or disables the download buttons
+ * @param {boolean} disabled - Whether the buttons should be disabled
+ */
+function setDownloadButtonsDisabled(disabled) {
+  document.querySelectorAll(".download-button").forEach(function (button) {
+    button.disabled = disabled;
+  });
 }
 
 /**
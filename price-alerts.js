@@ -0,0 +1,218 @@
+/**
+ * Airbnb Wishlist to Google Sheets Extension
+ * Price Alerts (price-alerts.js)
+ *
+ * This script defines the alert settings set on the options page and finds
+ * the listing changes worth a desktop notification by comparing an export
+ * with the previous export of the same wishlist. It is loaded by the
+ * background service worker, which shows the notifications, and the options
+ * page.
+ */
+
+/**
+ * Alert settings. All alerts are off until turned on on the options page:
+ * - priceBelow: notify when a total price drops below this amount (null for off)
+ * - dropPercent: notify when a price drops by at least this percentage (null for off)
+ * - removed: notify when a listing leaves the wishlist
+ * - unavailable: notify when a listing becomes unavailable for the trip dates
+ */
+const DEFAULT_ALERT_SETTINGS = {
+  priceBelow: null,
+  dropPercent: null,
+  removed: false,
+  unavailable: false,
+};
+
+/**
+ * Loads the alert settings saved on the options page
+ * @returns {Promise<Object>} A promise with the settings (see DEFAULT_ALERT_SETTINGS)
+ */
+function loadAlertSettings() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(["alertSettings"], function (data) {
+      if (chrome.runtime.lastError) {
+        console.error("Storage error:", chrome.runtime.lastError);
+        resolve(DEFAULT_ALERT_SETTINGS);
+        return;
+      }
+      resolve(
+        Object.assign(
+          {},
+          DEFAULT_ALERT_SETTINGS,
+          (data && data.alertSettings) || {}
+        )
+      );
+    });
+  });
+}
+
+/**
+ * Builds what is remembered about each listing of a wishlist until its next
+ * export, so the next export can tell what changed
+ * @param {Array} wishlistData - The exported listings
+ * @returns {Object} The name, link, total and nightly prices and availability
+ *   per room ID
+ */
+function buildListingAlertState(wishlistData) {
+  const state = {};
+  wishlistData.forEach((item) => {
+    if (!item.roomId) {
+      return;
+    }
+    state[item.roomId] = {
+      name: item.propertyName || "",
+      link: item.link || "",
+      totalPrice: typeof item.totalPrice === "number" ? item.totalPrice : null,
+      nightlyPrice:
+        typeof item.nightlyPrice === "number" ? item.nightlyPrice : null,
+      currency: item.currency || "",
+      unavailable: Boolean(item.unavailable),
+    };
+  });
+  return state;
+}
+
+/**
+ * Finds the changes to notify about between two exports of a wishlist.
+ * Nothing is reported on the first export, and each alert is reported once:
+ * a price that stays below the threshold does not alert again. Prices are
+ * compared with the previous export of this wishlist only, so a listing
+ * saved in several wishlists alerts once per wishlist it changed in.
+ * @param {Array} wishlistData - The listings of this export
+ * @param {Object|null} previousState - The state saved by the previous
+ *   export (see buildListingAlertState), or null
+ * @param {Object} settings - The alert settings
+ * @param {boolean} [isPartial] - Whether the extraction may have missed
+ *   listings, in which case missing listings are not reported as removed
+ * @returns {Array} The alerts, each with a title, a message and the link to open
+ */
+function findListingAlerts(wishlistData, previousState, settings, isPartial) {
+  if (!previousState) {
+    return [];
+  }
+
+  const alerts = [];
+  const roomIds = new Set();
+
+  wishlistData.forEach((item) => {
+    const previous = previousState[item.roomId];
+    if (!item.roomId || !previous) {
+      return;
+    }
+    roomIds.add(item.roomId);
+    const name = item.propertyName || previous.name;
+    const link = item.link || previous.link;
+
+    if (settings.unavailable && item.unavailable && !previous.unavailable) {
+      alerts.push({
+        title: "Listing unavailable",
+        message: `${name} is no longer available for your dates.`,
+        link: link,
+      });
+      return;
+    }
+
+    const price = item.totalPrice;
+    if (
+      settings.priceBelow !== null &&
+      typeof price === "number" &&
+      price < settings.priceBelow &&
+      typeof previous.totalPrice === "number" &&
+      previous.totalPrice >= settings.priceBelow
+    ) {
+      alerts.push({
+        title: "Price below your limit",
+        message: `${name}: ${formatAlertPrice(
+          price,
+          item.currency
+        )} total, down from ${formatAlertPrice(
+          previous.totalPrice,
+          previous.currency
+        )}.`,
+        link: link,
+      });
+      return;
+    }
+
+    const change = getAlertPriceChange(item, previous);
+    if (
+      settings.dropPercent !== null &&
+      change &&
+      change.percent <= -settings.dropPercent
+    ) {
+      alerts.push({
+        title: `Price dropped ${Math.abs(change.percent)}%`,
+        message: `${name}: ${formatAlertPrice(
+          change.price,
+          item.currency
+        )}, down from ${formatAlertPrice(
+          change.previousPrice,
+          item.currency
+        )}.`,
+        link: link,
+      });
+    }
+  });
+
+  if (settings.removed && !isPartial) {
+    Object.keys(previousState)
+      .filter((roomId) => !roomIds.has(roomId))
+      .forEach((roomId) => {
+        alerts.push({
+          title: "Listing removed",
+          message: `${previousState[roomId].name} is no longer in the wishlist.`,
+          link: previousState[roomId].link,
+        });
+      });
+  }
+
+  return alerts;
+}
+
+/**
+ * Computes how a listing's price changed since the previous export of the
+ * wishlist: the total price, or the nightly one without dates
+ * @param {Object} item - The listing of this export
+ * @param {Object} previous - The listing's state from the previous export
+ * @returns {Object|null} The price, the previous price and the change in
+ *   percent, or null if the two exports have no comparable price
+ */
+function getAlertPriceChange(item, previous) {
+  const key =
+    typeof item.totalPrice === "number" ? "totalPrice" : "nightlyPrice";
+  const price = item[key];
+  const previousPrice = previous[key];
+  if (
+    typeof price !== "number" ||
+    typeof previousPrice !== "number" ||
+    previousPrice <= 0 ||
+    (item.currency || "") !== previous.currency
+  ) {
+    return null;
+  }
+  return {
+    price: price,
+    previousPrice: previousPrice,
+    percent: Math.round(((price - previousPrice) / previousPrice) * 1000) / 10,
+  };
+}
+
+/**
+ * Formats a price for an alert
+ * @param {number} amount - The amount
+ * @param {string} currency - The ISO currency code, may be empty
+ * @returns {string} The formatted price, e.g. "€1,234"
+ */
+function formatAlertPrice(amount, currency) {
+  try {
+    return new Intl.NumberFormat(undefined, {
+      style: "currency",
+      currency: currency,
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0,
+    }).format(amount);
+  } catch (error) {
+    // No or unknown currency code
+    return String(amount);
+  }
+}
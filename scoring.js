@@ -0,0 +1,73 @@
+/**
+ * Airbnb Wishlist to Google Sheets Extension
+ * Scoring Model (scoring.js)
+ *
+ * This script defines the criteria listings are scored on in the "Ranking"
+ * tab and loads the weights set on the options page. It is loaded by the
+ * background service worker and the options page.
+ */
+
+/**
+ * Criteria of the built-in scoring model. Each criterion scores one numeric
+ * sheet column (by header), from 0 for the worst listing to 1 for the best:
+ * - header: the column in SHEET_COLUMNS
+ * - weight: how much the criterion counts (0 leaves it out)
+ * - direction: "higher" if higher values are better, "lower" if lower ones are
+ */
+const DEFAULT_SCORING_CRITERIA = [
+  { header: "Price per Night", weight: 3, direction: "lower" },
+  { header: "Rating", weight: 3, direction: "higher" },
+  { header: "Reviews", weight: 1, direction: "higher" },
+  { header: "Bedrooms", weight: 1, direction: "higher" },
+  { header: "Beds", weight: 1, direction: "higher" },
+  { header: "Bathrooms", weight: 1, direction: "higher" },
+];
+
+// Directions a criterion can be scored in
+const SCORING_DIRECTIONS = ["higher", "lower"];
+
+/**
+ * Loads the scoring criteria with the weights saved on the options page
+ * @returns {Promise<Array>} A promise with the criteria (see DEFAULT_SCORING_CRITERIA)
+ */
+function loadScoringCriteria() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(["scoringWeights"], function (data) {
+      if (chrome.runtime.lastError) {
+        console.error("Storage error:", chrome.runtime.lastError);
+        resolve(DEFAULT_SCORING_CRITERIA);
+        return;
+      }
+      resolve(applyScoringWeights((data && data.scoringWeights) || {}));
+    });
+  });
+}
+
+/**
+ * Applies saved weights and directions to the built-in criteria, ignoring
+ * invalid entries
+ * @param {Object} scoringWeights - The saved settings keyed by header,
+ *   each with a weight and a direction
+ * @returns {Array} The criteria with the saved settings
+ */
+function applyScoringWeights(scoringWeights) {
+  return DEFAULT_SCORING_CRITERIA.map((criterion) => {
+    const saved = scoringWeights[criterion.header] || {};
+    return {
+      header: criterion.header,
+      weight: isValidWeight(saved.weight) ? saved.weight : criterion.weight,
+      direction: SCORING_DIRECTIONS.includes(saved.direction)
+        ? saved.direction
+        : criterion.direction,
+    };
+  });
+}
+
+/**
+ * Checks whether a value can be used as a criterion weight
+ * @param {*} weight - The value to check
+ * @returns {boolean} True for finite numbers from 0 up
+ */
+function isValidWeight(weight) {
+  return typeof weight === "number" && isFinite(weight) && weight >= 0;
+}
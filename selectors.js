@@ -0,0 +1,229 @@
+/**
+ * Airbnb Wishlist to Google Sheets Extension
+ * Selector Profiles (selectors.js)
+ *
+ * This script defines where content.js finds each field on the Airbnb pages.
+ * Airbnb's class names change with its deploys, so the selectors live in a
+ * versioned profile that can be replaced from the options page without
+ * reinstalling the extension. It is loaded by the content script and the
+ * options page.
+ */
+
+// Version of the profile format this extension understands
+const SELECTOR_PROFILE_FORMAT = 1;
+
+// Places a field can be searched in, relative to a listing card
+const SELECTOR_SCOPES = ["card", "document", "nextSibling"];
+
+/**
+ * Built-in selector profile. Each field has:
+ * - selectors: CSS selectors tried in order; the first element whose value
+ *   passes validation wins (for "photos", every element of the first
+ *   selector with valid values)
+ * - scope (optional): where to search, "card" (default), "document" or
+ *   "nextSibling" (the element right after the card)
+ * - index (optional): only use the n-th element a selector matches
+ * - attribute (optional): attribute to read instead of the text
+ * - remove (optional): regular expressions removed from the text
+ * - match (optional): regular expression extracting the value (its first group, if any)
+ * - validate (optional): regular expression the value must match
+ * The "cards" field finds the listing cards themselves. Labels such as
+ * "Gesamtpreis:" or "Edit" are removed by content.js in every language (see
+ * locales.js), so profiles only need "remove" for page-specific text.
+ */
+const DEFAULT_SELECTOR_PROFILE = {
+  format: SELECTOR_PROFILE_FORMAT,
+  name: "Built-in",
+  version: "3",
+  fields: {
+    cards: {
+      selectors: [
+        '[data-testid="card-container"]',
+        '.cy5jw6o[role="group"]',
+        ".wishlist-card",
+        ".wishlistCard",
+        'div[role="group"]',
+      ],
+      scope: "document",
+    },
+    propertyName: {
+      selectors: [
+        '[data-testid="listing-card-subtitle"] span',
+        ".t6mzqp7",
+        '[data-testid="listing-card-title"]',
+      ],
+      validate: "\\S",
+    },
+    rating: {
+      selectors: [".r4a59j5", "[data-testid*='rating']"],
+      match: "(\\d+[.,]\\d+)",
+    },
+    tripDates: {
+      selectors: ["button.c12tvzjc"],
+      scope: "document",
+      validate: "\\d",
+    },
+    bedInfo: {
+      selectors: [".g1qv1ctd > div:not([aria-hidden='true'])"],
+      index: 2,
+    },
+    price: {
+      selectors: ["._tt122m", "[class*='price']", "[class*='total']"],
+      validate: "\\d",
+    },
+    link: {
+      selectors: ['a[href*="/rooms/"]'],
+      attribute: "href",
+    },
+    photos: {
+      selectors: ["picture img", "img"],
+      attribute: "src",
+      validate: "^https?://",
+    },
+    comment: {
+      selectors: [":scope.cpj3fk1 div.nzkbe2g"],
+      scope: "nextSibling",
+    },
+  },
+};
+
+/**
+ * Loads the selector profile imported on the options page, falling back to
+ * the built-in profile for missing fields or when no valid profile is stored
+ * @returns {Promise<Object>} A promise with the selector profile to use
+ */
+function loadSelectorProfile() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(["selectorProfile"], function (data) {
+      if (chrome.runtime.lastError) {
+        console.error("Storage error:", chrome.runtime.lastError);
+        resolve(DEFAULT_SELECTOR_PROFILE);
+        return;
+      }
+
+      const profile = data && data.selectorProfile;
+      if (!profile) {
+        resolve(DEFAULT_SELECTOR_PROFILE);
+        return;
+      }
+
+      const errors = validateSelectorProfile(profile);
+      if (errors.length > 0) {
+        console.warn("Ignoring invalid selector profile:", errors);
+        resolve(DEFAULT_SELECTOR_PROFILE);
+        return;
+      }
+
+      console.log(`Using selector profile ${profile.name} ${profile.version}`);
+      resolve(mergeWithDefaultProfile(profile));
+    });
+  });
+}
+
+/**
+ * Fills in the fields a profile does not define from the built-in profile
+ * @param {Object} profile - A valid selector profile
+ * @returns {Object} The profile with every built-in field
+ */
+function mergeWithDefaultProfile(profile) {
+  return Object.assign({}, profile, {
+    fields: Object.assign({}, DEFAULT_SELECTOR_PROFILE.fields, profile.fields),
+  });
+}
+
+/**
+ * Checks a selector profile, e.g. one imported on the options page
+ * @param {Object} profile - The selector profile to check
+ * @returns {Array} The problems found, empty if the profile is valid
+ */
+function validateSelectorProfile(profile) {
+  const errors = [];
+
+  if (!profile || typeof profile !== "object") {
+    return ["The profile must be a JSON object"];
+  }
+  if (profile.format !== SELECTOR_PROFILE_FORMAT) {
+    errors.push(
+      `Unsupported profile format ${profile.format} (expected ${SELECTOR_PROFILE_FORMAT})`
+    );
+  }
+  if (!profile.name || !profile.version) {
+    errors.push("The profile needs a name and a version");
+  }
+  if (!profile.fields || typeof profile.fields !== "object") {
+    errors.push("The profile has no fields");
+    return errors;
+  }
+
+  Object.keys(profile.fields).forEach((fieldName) => {
+    const field = profile.fields[fieldName];
+    const prefix = `Field "${fieldName}"`;
+
+    if (!field || typeof field !== "object") {
+      errors.push(`${prefix} must be an object`);
+      return;
+    }
+    if (!Array.isArray(field.selectors) || field.selectors.length === 0) {
+      errors.push(`${prefix} needs a list of selectors`);
+    } else {
+      field.selectors.forEach((selector) => {
+        if (!isValidSelector(selector)) {
+          errors.push(`${prefix} has an invalid selector: ${selector}`);
+        }
+      });
+    }
+
+    if (field.scope !== undefined && !SELECTOR_SCOPES.includes(field.scope)) {
+      errors.push(`${prefix} has an unknown scope: ${field.scope}`);
+    }
+    if (
+      field.index !== undefined &&
+      !(Number.isInteger(field.index) && field.index >= 0)
+    ) {
+      errors.push(`${prefix} needs a non-negative whole number as index`);
+    }
+
+    const patterns = [field.match, field.validate, ...(field.remove || [])];
+    patterns.forEach((pattern) => {
+      if (pattern !== undefined && !isValidPattern(pattern)) {
+        errors.push(`${prefix} has an invalid regular expression: ${pattern}`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Checks whether a string is a valid CSS selector
+ * @param {string} selector - The selector to check
+ * @returns {boolean} True if the selector can be used with querySelector
+ */
+function isValidSelector(selector) {
+  if (typeof selector !== "string" || !selector.trim()) {
+    return false;
+  }
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Checks whether a string is a valid regular expression
+ * @param {string} pattern - The pattern to check
+ * @returns {boolean} True if the pattern compiles
+ */
+function isValidPattern(pattern) {
+  if (typeof pattern !== "string") {
+    return false;
+  }
+  try {
+    new RegExp(pattern, "i");
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
@@ -0,0 +1,76 @@
+/**
+ * Airbnb Wishlist to Google Sheets Extension
+ * Scheduled Sync Settings (sync-schedule.js)
+ *
+ * This script defines how wishlists are re-synced on a schedule: the
+ * wishlists that can be scheduled, the interval of each and the log of past
+ * runs. It is loaded by the background service worker, which runs the
+ * scheduled syncs, and the options page, where they are configured.
+ */
+
+// Intervals a wishlist can be re-synced at, in hours (0 turns it off)
+const SYNC_INTERVAL_CHOICES = [0, 1, 3, 6, 12, 24];
+
+// Prefix of the alarm names, followed by the wishlist ID
+const SYNC_ALARM_PREFIX = "resync:";
+
+// Number of runs kept in the sync log
+const SYNC_RUN_LOG_LIMIT = 50;
+
+/**
+ * Loads the wishlists that were synced to a spreadsheet and can be re-synced
+ * on a schedule
+ * @returns {Promise<Object>} A promise with the wishlists keyed by ID, each
+ *   with its name, URL, exporter and when it was last exported
+ */
+function loadTrackedWishlists() {
+  return loadSyncSetting("trackedWishlists", {});
+}
+
+/**
+ * Loads the re-sync interval of each wishlist
+ * @returns {Promise<Object>} A promise with the intervals in hours, keyed by
+ *   wishlist ID (wishlists without an entry are not re-synced)
+ */
+function loadSyncSchedules() {
+  return loadSyncSetting("syncSchedules", {});
+}
+
+/**
+ * Loads the log of scheduled runs
+ * @returns {Promise<Array>} A promise with the runs, the most recent first
+ */
+function loadSyncRunLog() {
+  return loadSyncSetting("syncRunLog", []);
+}
+
+/**
+ * Reads one key from local storage
+ * @param {string} key - The storage key
+ * @param {*} fallback - The value used when the key is missing or unreadable
+ * @returns {Promise<*>} A promise with the stored value or the fallback
+ */
+function loadSyncSetting(key, fallback) {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([key], function (data) {
+      if (chrome.runtime.lastError) {
+        console.error("Storage error:", chrome.runtime.lastError);
+        resolve(fallback);
+        return;
+      }
+      resolve((data && data[key]) || fallback);
+    });
+  });
+}
+
+/**
+ * Describes a re-sync interval for display
+ * @param {number} hours - The interval in hours
+ * @returns {string} The description, e.g. "Every 6 hours"
+ */
+function describeSyncInterval(hours) {
+  if (!hours) {
+    return "Off";
+  }
+  return hours === 1 ? "Every hour" : `Every ${hours} hours`;
+}
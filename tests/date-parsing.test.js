@@ -0,0 +1,92 @@
+/**
+ * Airbnb Wishlist to Google Sheets Extension
+ * Date Parsing Tests (tests/date-parsing.test.js)
+ *
+ * Checks how the content script reads the trip dates of a listing card on
+ * pages in each language. The content scripts are loaded as in the manifest,
+ * with just enough of the page and chrome APIs for them to load.
+ * Run with: node --test tests/
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+/**
+ * Loads the content scripts for a page in the given language
+ * @param {string} lang - The lang attribute of the page, e.g. "de"
+ * @returns {Object} The context holding the content script's functions
+ */
+function loadContentScript(lang) {
+  const context = vm.createContext({
+    console: { log() {}, warn() {}, error() {} },
+    window: { location: { href: "", hostname: "www.airbnb.com" } },
+    document: { documentElement: { lang: lang } },
+    chrome: { runtime: { onMessage: { addListener() {} } } },
+  });
+  ["locales.js", "selectors.js", "content.js"].forEach((file) => {
+    vm.runInContext(
+      fs.readFileSync(path.join(__dirname, "..", file), "utf8"),
+      context,
+      { filename: file }
+    );
+  });
+  return context;
+}
+
+const en = loadContentScript("en");
+const de = loadContentScript("de");
+const fr = loadContentScript("fr");
+
+/**
+ * Parses a date range into a plain object
+ * @param {Object} context - The content script context
+ * @param {string} dateText - The date range text
+ * @returns {Object} The check-in and check-out dates and the number of nights
+ */
+function parseDateRange(context, dateText) {
+  return Object.assign({}, context.parseDateRange(dateText));
+}
+
+test("reads date ranges with a year", () => {
+  const stay = { checkIn: "2026-10-28", checkOut: "2026-11-02", nights: 5 };
+  assert.deepStrictEqual(parseDateRange(en, "28 Oct – 2 Nov 2026"), stay);
+  assert.deepStrictEqual(parseDateRange(de, "28. Okt. – 2. Nov. 2026"), stay);
+});
+
+test("reads date ranges naming the month once", () => {
+  const stay = { checkIn: "2026-10-12", checkOut: "2026-10-19", nights: 7 };
+  assert.deepStrictEqual(parseDateRange(de, "12.–19. Okt. 2026"), stay);
+  assert.deepStrictEqual(parseDateRange(fr, "du 12 au 19 oct. 2026"), stay);
+});
+
+test("reads stays across New Year", () => {
+  assert.deepStrictEqual(parseDateRange(en, "Dec 30, 2026 – Jan 2, 2027"), {
+    checkIn: "2026-12-30",
+    checkOut: "2027-01-02",
+    nights: 3,
+  });
+  assert.strictEqual(parseDateRange(en, "Dec 30 – Jan 2").nights, 3);
+});
+
+test("takes dates without a year to be upcoming", () => {
+  const today = new Date();
+  const todayIso = [
+    today.getFullYear(),
+    String(today.getMonth() + 1).padStart(2, "0"),
+    String(today.getDate()).padStart(2, "0"),
+  ].join("-");
+
+  const stay = parseDateRange(en, "Oct 12 – 19");
+  assert.strictEqual(stay.nights, 7);
+  assert.ok(stay.checkIn >= todayIso, `${stay.checkIn} is in the past`);
+});
+
+test("leaves texts that are not date ranges empty", () => {
+  const empty = { checkIn: "", checkOut: "", nights: 0 };
+  assert.deepStrictEqual(parseDateRange(en, "Any week"), empty);
+  assert.deepStrictEqual(parseDateRange(en, ""), empty);
+  assert.deepStrictEqual(parseDateRange(en, "Oct 19 – 12"), empty);
+});
@@ -0,0 +1,133 @@
+/**
+ * Airbnb Wishlist to Google Sheets Extension
+ * Export Settings Tests (tests/export-settings.test.js)
+ *
+ * Checks how the columns and spreadsheet names chosen on the options page are
+ * applied. The column and settings scripts are loaded as on the options page.
+ * Run with: node --test tests/
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+/**
+ * Loads the column and export settings scripts
+ * @returns {Object} The context holding the scripts' functions
+ */
+function loadSettingsScripts() {
+  const context = vm.createContext({
+    console: { log() {}, warn() {}, error() {} },
+  });
+  ["columns.js", "export-settings.js"].forEach((file) => {
+    vm.runInContext(
+      fs.readFileSync(path.join(__dirname, "..", file), "utf8"),
+      context,
+      { filename: file }
+    );
+  });
+  return context;
+}
+
+const settingsScripts = loadSettingsScripts();
+const SHEET_COLUMNS = vm.runInContext("SHEET_COLUMNS", settingsScripts);
+
+/**
+ * Applies column settings and lists the resulting headers
+ * @param {Array} columns - The saved column settings
+ * @returns {Array} The columns to export
+ */
+function applyColumnSettings(columns) {
+  return Array.from(
+    settingsScripts.applyColumnSettings(SHEET_COLUMNS, {
+      columns: columns,
+      dateFormat: "dd/mm/yyyy",
+    })
+  );
+}
+
+test("exports every column under its default header without settings", () => {
+  assert.deepStrictEqual(
+    applyColumnSettings([]).map((column) => column.header),
+    Array.from(SHEET_COLUMNS, (column) => column.header)
+  );
+});
+
+test("orders and leaves out columns, but always exports required ones", () => {
+  const headers = applyColumnSettings([
+    { header: "Rating" },
+    { header: "Property Name" },
+    { header: "Photo", enabled: false },
+    { header: "Room ID", enabled: false },
+  ]).map((column) => column.header);
+  assert.deepStrictEqual(headers.slice(0, 3), [
+    "Rating",
+    "Property Name",
+    "Room ID",
+  ]);
+  assert.strictEqual(headers.includes("Photo"), false);
+  assert.strictEqual(headers.includes("Status"), true);
+});
+
+test("renames columns and remembers their former headers", () => {
+  const columns = applyColumnSettings([
+    { header: "Link to listing", label: "Link", formerLabels: ["URL"] },
+  ]);
+  const link = columns.find((column) => column.header === "Link");
+  assert.strictEqual(link.defaultHeader, "Link to listing");
+  assert.deepStrictEqual(Array.from(link.formerHeaders), [
+    "Link to listing",
+    "URL",
+  ]);
+
+  // The property name links to the renamed column
+  const name = columns.find((column) => column.header === "Property Name");
+  assert.strictEqual(name.linkTo, "Link");
+});
+
+test("gives date columns the chosen date format", () => {
+  const checkIn = applyColumnSettings([]).find(
+    (column) => column.header === "Check-in"
+  );
+  assert.strictEqual(checkIn.dateFormat, "dd/mm/yyyy");
+});
+
+test("fills in the spreadsheet title template", () => {
+  const date = settingsScripts.formatExportDate(new Date(), "dd.mm.yyyy");
+  assert.strictEqual(
+    settingsScripts.formatSpreadsheetTitle(
+      {
+        titleTemplate: "{wishlist} ({count}) {date}",
+        dateFormat: "dd.mm.yyyy",
+      },
+      "Lisbon",
+      12
+    ),
+    `Lisbon (12) ${date}`
+  );
+});
+
+test("names spreadsheets after the wishlist when the title is empty", () => {
+  assert.strictEqual(
+    settingsScripts.formatSpreadsheetTitle(
+      { titleTemplate: "  ", dateFormat: "yyyy-mm-dd" },
+      "Lisbon",
+      12
+    ),
+    "Lisbon"
+  );
+});
+
+test("formats export dates with the chosen pattern", () => {
+  const date = new Date(2026, 9, 5);
+  assert.strictEqual(
+    settingsScripts.formatExportDate(date, "mm/dd/yyyy"),
+    "10/05/2026"
+  );
+  assert.strictEqual(
+    settingsScripts.formatExportDate(date, "unknown"),
+    "2026-10-05"
+  );
+});
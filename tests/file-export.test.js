@@ -0,0 +1,129 @@
+/**
+ * Airbnb Wishlist to Google Sheets Extension
+ * File Export Tests (tests/file-export.test.js)
+ *
+ * Checks the CSV and XLSX files built for downloads. The file export script
+ * is loaded as in the popup, with the text encoder it needs.
+ * Run with: node --test tests/
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+/**
+ * Loads the file export script
+ * @returns {Object} The context holding the file export script's functions
+ */
+function loadFileExportScript() {
+  const context = vm.createContext({
+    console: { log() {}, warn() {}, error() {} },
+    TextEncoder: TextEncoder,
+  });
+  vm.runInContext(
+    fs.readFileSync(path.join(__dirname, "..", "file-export.js"), "utf8"),
+    context,
+    { filename: "file-export.js" }
+  );
+  return context;
+}
+
+const fileExport = loadFileExportScript();
+
+/**
+ * Reads the entries of an uncompressed ZIP archive through its central
+ * directory
+ * @param {Uint8Array} zip - The archive
+ * @returns {Array} The entries, each with its name, checksum and content
+ */
+function readZipEntries(zip) {
+  const buffer = Buffer.from(zip);
+  const end = buffer.length - 22;
+  assert.strictEqual(buffer.readUInt32LE(end), 0x06054b50);
+
+  const entries = [];
+  let position = buffer.readUInt32LE(end + 16);
+  for (let index = 0; index < buffer.readUInt16LE(end + 10); index++) {
+    assert.strictEqual(buffer.readUInt32LE(position), 0x02014b50);
+    const size = buffer.readUInt32LE(position + 20);
+    const nameLength = buffer.readUInt16LE(position + 28);
+    const offset = buffer.readUInt32LE(position + 42);
+    const localNameLength = buffer.readUInt16LE(offset + 26);
+    const dataStart = offset + 30 + localNameLength;
+    entries.push({
+      name: buffer.toString("utf8", position + 46, position + 46 + nameLength),
+      checksum: buffer.readUInt32LE(position + 16),
+      content: buffer.subarray(dataStart, dataStart + size),
+    });
+    position += 46 + nameLength;
+  }
+  return entries;
+}
+
+test("starts CSV files with a byte order mark", () => {
+  const csv = fileExport.buildCsv(["Name", "Price"], [["Loft", 120]]);
+  assert.strictEqual(csv, "\uFEFFName,Price\r\nLoft,120\r\n");
+});
+
+test("quotes CSV values with commas, quotes and line breaks", () => {
+  const csv = fileExport.buildCsv(["Comment"], [['Big, "sunny"\nroom']]);
+  assert.strictEqual(csv, '\uFEFFComment\r\n"Big, ""sunny""\nroom"\r\n');
+});
+
+test("keeps spreadsheet apps from evaluating CSV text as formulas", () => {
+  const csv = fileExport.buildCsv(
+    ["Comment"],
+    [["=HYPERLINK(1)"], ["+1"], ["-2 nights"], ["@home"], [-5]]
+  );
+  assert.deepStrictEqual(csv.slice(1).split("\r\n"), [
+    "Comment",
+    "'=HYPERLINK(1)",
+    "'+1",
+    "'-2 nights",
+    "'@home",
+    "-5",
+    "",
+  ]);
+});
+
+test("computes the CRC-32 checksum of ZIP entries", () => {
+  const data = new TextEncoder().encode("123456789");
+  assert.strictEqual(fileExport.crc32(data), 0xcbf43926);
+});
+
+test("packs an XLSX workbook with one sheet", () => {
+  const xlsx = fileExport.buildXlsx(
+    ["Name", "Price", "Comment"],
+    [["Loft & <Garden>", 120, ""]],
+    "Trip: Lisbon/Porto"
+  );
+  const entries = readZipEntries(xlsx);
+  assert.deepStrictEqual(
+    entries.map((entry) => entry.name),
+    [
+      "[Content_Types].xml",
+      "_rels/.rels",
+      "xl/workbook.xml",
+      "xl/_rels/workbook.xml.rels",
+      "xl/worksheets/sheet1.xml",
+    ]
+  );
+  entries.forEach((entry) => {
+    assert.strictEqual(
+      fileExport.crc32(new Uint8Array(entry.content)),
+      entry.checksum,
+      entry.name
+    );
+  });
+
+  const workbook = entries[2].content.toString("utf8");
+  assert.match(workbook, /<sheet name="Trip  Lisbon Porto" sheetId="1"/);
+
+  const sheet = entries[4].content.toString("utf8");
+  assert.match(
+    sheet,
+    /<row r="2"><c r="A2" t="inlineStr"><is><t xml:space="preserve">Loft &amp; &lt;Garden&gt;<\/t><\/is><\/c><c r="B2"><v>120<\/v><\/c><\/row>/
+  );
+});
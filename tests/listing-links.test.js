@@ -0,0 +1,80 @@
+/**
+ * Airbnb Wishlist to Google Sheets Extension
+ * Listing Link Tests (tests/listing-links.test.js)
+ *
+ * Checks the room links exported for the listings of a wishlist page. The
+ * content scripts are loaded as in the manifest, with just enough of the
+ * page and chrome APIs for them to load. Run with: node --test tests/
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+/**
+ * Loads the content scripts for a wishlist page
+ * @param {string} pageUrl - The URL of the wishlist page
+ * @returns {Object} The context holding the content script's functions
+ */
+function loadContentScript(pageUrl) {
+  const context = vm.createContext({
+    console: { log() {}, warn() {}, error() {} },
+    URL: URL,
+    URLSearchParams: URLSearchParams,
+    window: { location: new URL(pageUrl) },
+    document: { documentElement: { lang: "" } },
+    chrome: { runtime: { onMessage: { addListener() {} } } },
+  });
+  ["locales.js", "selectors.js", "content.js"].forEach((file) => {
+    vm.runInContext(
+      fs.readFileSync(path.join(__dirname, "..", file), "utf8"),
+      context,
+      { filename: file }
+    );
+  });
+  return context;
+}
+
+test("links to the room on the wishlist's domain without tracking", () => {
+  const page = loadContentScript("https://www.airbnb.fr/wishlists/123");
+  assert.strictEqual(
+    page.buildListingLink(
+      "/rooms/456?source_impression_id=p3_1&search_id=9&adults=2",
+      null
+    ),
+    "https://www.airbnb.fr/rooms/456?adults=2"
+  );
+});
+
+test("keeps the wishlist's trip parameters over the card's", () => {
+  const page = loadContentScript(
+    "https://www.airbnb.de/wishlists/123?check_in=2026-11-01&check_out=2026-11-05&adults=3"
+  );
+  assert.strictEqual(
+    page.buildListingLink("https://www.airbnb.com/rooms/456?adults=2", null),
+    "https://www.airbnb.de/rooms/456?check_in=2026-11-01&check_out=2026-11-05&adults=3"
+  );
+});
+
+test("uses the dates shown for the listing", () => {
+  const page = loadContentScript(
+    "https://www.airbnb.com/wishlists/123?check_in=2026-11-01&check_out=2026-11-05"
+  );
+  assert.strictEqual(
+    page.buildListingLink("/rooms/456", {
+      checkIn: "2026-12-01",
+      checkOut: "2026-12-04",
+    }),
+    "https://www.airbnb.com/rooms/456?check_in=2026-12-01&check_out=2026-12-04"
+  );
+});
+
+test("keeps the path of links that are not room links", () => {
+  const page = loadContentScript("https://www.airbnb.com/wishlists/123");
+  assert.strictEqual(
+    page.buildListingLink("/luxury/listing/789?search_id=9", null),
+    "https://www.airbnb.com/luxury/listing/789"
+  );
+});
@@ -0,0 +1,113 @@
+/**
+ * Airbnb Wishlist to Google Sheets Extension
+ * Price Alert Tests (tests/price-alerts.test.js)
+ *
+ * Checks which listing changes between two exports of a wishlist are
+ * reported. Run with: node --test tests/
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+/**
+ * Loads the alert script
+ * @returns {Object} The context holding the alert script's functions
+ */
+function loadAlertScript() {
+  const context = vm.createContext({
+    console: { log() {}, warn() {}, error() {} },
+  });
+  vm.runInContext(
+    fs.readFileSync(path.join(__dirname, "..", "price-alerts.js"), "utf8"),
+    context,
+    { filename: "price-alerts.js" }
+  );
+  return context;
+}
+
+const alerts = loadAlertScript();
+const settings = {
+  priceBelow: null,
+  dropPercent: 10,
+  removed: true,
+  unavailable: false,
+};
+
+/**
+ * Builds a listing as extracted by the content script
+ * @param {string} roomId - The room ID
+ * @param {Object} [fields] - Other fields of the listing
+ * @returns {Object} The listing
+ */
+function listing(roomId, fields = {}) {
+  return Object.assign(
+    {
+      roomId: roomId,
+      propertyName: "Room " + roomId,
+      link: "https://www.airbnb.com/rooms/" + roomId,
+      currency: "EUR",
+    },
+    fields
+  );
+}
+
+/**
+ * Finds the alert titles for an export following another one
+ * @param {Array} previousData - The listings of the previous export
+ * @param {Array} wishlistData - The listings of this export
+ * @param {boolean} [isPartial] - Whether this extraction may have missed listings
+ * @returns {Array} The titles of the alerts
+ */
+function findAlertTitles(previousData, wishlistData, isPartial) {
+  const previousState = alerts.buildListingAlertState(previousData);
+  return Array.from(
+    alerts.findListingAlerts(wishlistData, previousState, settings, isPartial),
+    (alert) => alert.title
+  );
+}
+
+test("reports listings that left the wishlist", () => {
+  assert.deepStrictEqual(
+    findAlertTitles([listing("1"), listing("2")], [listing("1")]),
+    ["Listing removed"]
+  );
+});
+
+test("does not report missing listings after a partial extraction", () => {
+  assert.deepStrictEqual(
+    findAlertTitles([listing("1"), listing("2")], [listing("1")], true),
+    []
+  );
+});
+
+test("compares prices with the previous export of the wishlist", () => {
+  assert.deepStrictEqual(
+    findAlertTitles(
+      [listing("1", { totalPrice: 1000 })],
+      [listing("1", { totalPrice: 800, priceChange: -50 })]
+    ),
+    ["Price dropped 20%"]
+  );
+
+  // A drop recorded by another wishlist's export is not reported again
+  assert.deepStrictEqual(
+    findAlertTitles(
+      [listing("1", { totalPrice: 800 })],
+      [listing("1", { totalPrice: 800, priceChange: -20 })]
+    ),
+    []
+  );
+});
+
+test("compares nightly prices when there are no dates", () => {
+  assert.deepStrictEqual(
+    findAlertTitles(
+      [listing("1", { nightlyPrice: 100 })],
+      [listing("1", { nightlyPrice: 85 })]
+    ),
+    ["Price dropped 15%"]
+  );
+});
@@ -0,0 +1,126 @@
+/**
+ * Airbnb Wishlist to Google Sheets Extension
+ * Price Parsing Tests (tests/price-parsing.test.js)
+ *
+ * Checks how the content script reads prices on pages in each language.
+ * The content scripts are loaded as in the manifest, with just enough of
+ * the page and chrome APIs for them to load. Run with: node --test tests/
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+/**
+ * Loads the content scripts for a page in the given language
+ * @param {string} lang - The lang attribute of the page, e.g. "de"
+ * @returns {Object} The context holding the content script's functions
+ */
+function loadContentScript(lang) {
+  const context = vm.createContext({
+    console: { log() {}, warn() {}, error() {} },
+    window: { location: { href: "", hostname: "www.airbnb.com" } },
+    document: { documentElement: { lang: lang } },
+    chrome: { runtime: { onMessage: { addListener() {} } } },
+  });
+  ["locales.js", "selectors.js", "content.js"].forEach((file) => {
+    vm.runInContext(
+      fs.readFileSync(path.join(__dirname, "..", file), "utf8"),
+      context,
+      { filename: file }
+    );
+  });
+  return context;
+}
+
+const en = loadContentScript("en");
+const de = loadContentScript("de");
+const fr = loadContentScript("fr");
+
+test("reads thousands groups in the page's format", () => {
+  assert.strictEqual(en.parseLocalizedNumber("1,234", "."), 1234);
+  assert.strictEqual(de.parseLocalizedNumber("1.234", ","), 1234);
+  assert.strictEqual(fr.parseLocalizedNumber("1 234", ","), 1234);
+});
+
+test("reads decimals in the page's format", () => {
+  assert.strictEqual(en.parseLocalizedNumber("1,234.56", "."), 1234.56);
+  assert.strictEqual(de.parseLocalizedNumber("1.234,5", ","), 1234.5);
+  assert.strictEqual(de.parseLocalizedNumber("99,90", ","), 99.9);
+});
+
+test("reads three digits after the other separator as thousands", () => {
+  assert.strictEqual(en.parseLocalizedNumber("1.234", "."), 1234);
+  assert.strictEqual(de.parseLocalizedNumber("1,234", ","), 1234);
+  assert.strictEqual(de.parseLocalizedNumber("12,345", ","), 12345);
+});
+
+test("reads euro prices on an English page", () => {
+  assert.strictEqual(en.parsePrice("€1.234 total").amount, 1234);
+});
+
+test("reads dollar and rupee prices on other language pages", () => {
+  assert.strictEqual(de.parsePrice("$1,234").amount, 1234);
+  assert.strictEqual(fr.parsePrice("$1,234").amount, 1234);
+  assert.strictEqual(de.parsePrice("₹12,345").amount, 12345);
+});
+
+test("keeps the original price of a discount on other language pages", () => {
+  const price = de.parsePrice("$1,050 $980 total");
+  assert.strictEqual(price.amount, 980);
+  assert.strictEqual(price.originalAmount, 1050);
+  assert.strictEqual(price.currency, "USD");
+});
+
+test("takes the total and nightly prices from their own keywords", () => {
+  const price = en.parsePrice("$120 night · $840 total");
+  assert.strictEqual(price.amount, 840);
+  assert.strictEqual(price.isTotal, true);
+  assert.strictEqual(price.nightlyAmount, 120);
+
+  const pounds = en.parsePrice("£80 per night, £560 total");
+  assert.strictEqual(pounds.amount, 560);
+  assert.strictEqual(pounds.nightlyAmount, 80);
+
+  const labelFirst = en.parsePrice("Total: $840 · $120 per night");
+  assert.strictEqual(labelFirst.amount, 840);
+  assert.strictEqual(labelFirst.nightlyAmount, 120);
+});
+
+test("keeps the original total of a discount shown with a nightly price", () => {
+  const price = fr.parsePrice("150 € par nuit · 1 050 € 980 € au total");
+  assert.strictEqual(price.amount, 980);
+  assert.strictEqual(price.originalAmount, 1050);
+  assert.strictEqual(price.nightlyAmount, 150);
+});
+
+test("reads a nightly price on its own as nightly", () => {
+  const price = en.parsePrice("$120 night");
+  assert.strictEqual(price.amount, 120);
+  assert.strictEqual(price.isTotal, false);
+  assert.strictEqual(price.nightlyAmount, null);
+});
+
+test("reads a price for several nights as the total", () => {
+  const price = en.parsePrice("$840 for 7 nights");
+  assert.strictEqual(price.amount, 840);
+  assert.strictEqual(price.isTotal, true);
+
+  const euros = fr.parsePrice("840 € pour 7 nuits");
+  assert.strictEqual(euros.amount, 840);
+  assert.strictEqual(euros.isTotal, true);
+});
+
+test("reads per-night markers as nightly", () => {
+  assert.strictEqual(en.parsePrice("$120 / night").isTotal, false);
+  assert.strictEqual(fr.parsePrice("120 € par nuit").isTotal, false);
+  assert.strictEqual(de.parsePrice("120 € pro Nacht").isTotal, false);
+});
+
+test("reads a price without keyword as the total", () => {
+  const price = en.parsePrice("$840");
+  assert.strictEqual(price.amount, 840);
+  assert.strictEqual(price.isTotal, true);
+});
@@ -0,0 +1,86 @@
+/**
+ * Airbnb Wishlist to Google Sheets Extension
+ * Room Count Parsing Tests (tests/room-parsing.test.js)
+ *
+ * Checks how the content script reads the room counts of a listing card on
+ * pages in each language. The content scripts are loaded as in the manifest,
+ * with just enough of the page and chrome APIs for them to load.
+ * Run with: node --test tests/
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+/**
+ * Loads the content scripts for a page in the given language
+ * @param {string} lang - The lang attribute of the page, e.g. "de"
+ * @returns {Object} The context holding the content script's functions
+ */
+function loadContentScript(lang) {
+  const context = vm.createContext({
+    console: { log() {}, warn() {}, error() {} },
+    window: { location: { href: "", hostname: "www.airbnb.com" } },
+    document: { documentElement: { lang: lang } },
+    chrome: { runtime: { onMessage: { addListener() {} } } },
+  });
+  ["locales.js", "selectors.js", "content.js"].forEach((file) => {
+    vm.runInContext(
+      fs.readFileSync(path.join(__dirname, "..", file), "utf8"),
+      context,
+      { filename: file }
+    );
+  });
+  return context;
+}
+
+const en = loadContentScript("en");
+const de = loadContentScript("de");
+const fr = loadContentScript("fr");
+
+/**
+ * Parses bed info into a plain object
+ * @param {Object} context - The content script context
+ * @param {string} bedInfo - The bed information text
+ * @returns {Object} The number of bedrooms, beds, bathrooms and guests
+ */
+function parseBedInfo(context, bedInfo) {
+  return Object.assign({}, context.parseBedInfo(bedInfo));
+}
+
+test("reads room counts in each language", () => {
+  const rooms = { bedrooms: 2, beds: 3, bathrooms: 1.5, guests: 4 };
+  assert.deepStrictEqual(
+    parseBedInfo(en, "2 bedrooms · 3 beds · 1.5 baths · 4 guests"),
+    rooms
+  );
+  assert.deepStrictEqual(
+    parseBedInfo(de, "2 Schlafzimmer · 3 Betten · 1,5 Badezimmer · 4 Gäste"),
+    rooms
+  );
+  assert.deepStrictEqual(
+    parseBedInfo(fr, "1 chambre · 2 lits · 1 salle de bain"),
+    { bedrooms: 1, beds: 2, bathrooms: 1, guests: null }
+  );
+});
+
+test("reads a studio as no bedroom", () => {
+  assert.deepStrictEqual(parseBedInfo(en, "Studio · 1 bed · 1 shared bath"), {
+    bedrooms: 0,
+    beds: 1,
+    bathrooms: 1,
+    guests: null,
+  });
+});
+
+test("leaves counts the text does not mention empty", () => {
+  assert.deepStrictEqual(parseBedInfo(en, ""), {
+    bedrooms: null,
+    beds: null,
+    bathrooms: null,
+    guests: null,
+  });
+  assert.strictEqual(parseBedInfo(en, "3 beds").bedrooms, null);
+});
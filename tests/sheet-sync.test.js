@@ -0,0 +1,219 @@
+/**
+ * Airbnb Wishlist to Google Sheets Extension
+ * Sheet Sync Tests (tests/sheet-sync.test.js)
+ *
+ * Checks how a sync merges freshly extracted listings into the rows already
+ * in a sheet. The background script is loaded with the scripts it imports,
+ * with just enough of the chrome APIs for them to load.
+ * Run with: node --test tests/
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+/**
+ * Loads the background script and the scripts it imports
+ * @returns {Object} The context holding the background script's functions
+ */
+function loadBackgroundScript() {
+  const event = { addListener() {} };
+  const context = vm.createContext({
+    console: { log() {}, warn() {}, error() {} },
+    chrome: {
+      runtime: {
+        onStartup: event,
+        onInstalled: event,
+        onMessage: event,
+        onConnect: event,
+      },
+      storage: { onChanged: event },
+      alarms: { onAlarm: event },
+      notifications: { onClicked: event },
+    },
+  });
+  const load = (file) =>
+    vm.runInContext(
+      fs.readFileSync(path.join(__dirname, "..", file), "utf8"),
+      context,
+      { filename: file }
+    );
+  context.importScripts = (...files) => files.forEach(load);
+  load("background.js");
+  return context;
+}
+
+const background = loadBackgroundScript();
+const SHEET_COLUMNS = vm.runInContext("SHEET_COLUMNS", background);
+const columns = background.withVoteColumns(SHEET_COLUMNS, ["Alice"]);
+const headers = columns.map((column) => column.header);
+
+/**
+ * Builds a sheet row from the values of some columns
+ * @param {Object} cells - The values by header
+ * @param {Array} [rowHeaders] - The headers of the sheet
+ * @returns {Array} The row, empty where no value is given
+ */
+function sheetRow(cells, rowHeaders = headers) {
+  return rowHeaders.map((header) => cells[header] ?? "");
+}
+
+/**
+ * Builds a listing as extracted by the content script
+ * @param {string} roomId - The room ID
+ * @param {Object} [fields] - Other fields of the listing
+ * @returns {Object} The listing
+ */
+function listing(roomId, fields = {}) {
+  return Object.assign(
+    {
+      roomId: roomId,
+      propertyName: "Room " + roomId,
+      link: "https://www.airbnb.com/rooms/" + roomId,
+    },
+    fields
+  );
+}
+
+/**
+ * Merges listings into sheet values and reads the result back by header, as
+ * objects of this realm so they compare with deepStrictEqual
+ * @param {Array} existingValues - The sheet values, header row first
+ * @param {Array} wishlistData - The listings
+ * @returns {Object} The merge stats and the rows as objects by header
+ */
+function merge(existingValues, wishlistData) {
+  const merged = background.mergeWishlistRows(
+    existingValues,
+    wishlistData,
+    columns
+  );
+  const rows = Array.from(merged.values.slice(1), (row) =>
+    Object.fromEntries(headers.map((header, index) => [header, row[index]]))
+  );
+  return { stats: Object.assign({}, merged.stats), rows: rows };
+}
+
+test("updates the row of a listing already in the sheet", () => {
+  const { stats, rows } = merge(
+    [headers, sheetRow({ "Room ID": "1", "Property Name": "Old name" })],
+    [listing("1", { propertyName: "New name" })]
+  );
+  assert.deepStrictEqual(stats, { added: 0, updated: 1, removed: 0 });
+  assert.strictEqual(rows.length, 1);
+  assert.strictEqual(rows[0]["Property Name"], "New name");
+  assert.strictEqual(rows[0].Status, "Active");
+});
+
+test("appends listings new to the sheet", () => {
+  const { stats, rows } = merge(
+    [headers, sheetRow({ "Room ID": "1" })],
+    [listing("1"), listing("2")]
+  );
+  assert.deepStrictEqual(stats, { added: 1, updated: 1, removed: 0 });
+  assert.deepStrictEqual(
+    rows.map((row) => row["Room ID"]),
+    ["1", "2"]
+  );
+});
+
+test("marks a listing that left the wishlist as removed only once", () => {
+  const first = merge(
+    [headers, sheetRow({ "Room ID": "1" }), sheetRow({ "Room ID": "2" })],
+    [listing("1")]
+  );
+  assert.deepStrictEqual(first.stats, { added: 0, updated: 1, removed: 1 });
+  assert.strictEqual(first.rows[1].Status, "Removed");
+
+  const second = merge(
+    [headers].concat(first.rows.map((row) => sheetRow(row))),
+    [listing("1")]
+  );
+  assert.deepStrictEqual(second.stats, { added: 0, updated: 1, removed: 0 });
+  assert.strictEqual(second.rows[1].Status, "Removed");
+});
+
+test("keeps votes and columns added by hand", () => {
+  const sheetHeaders = headers.concat(["My notes"]);
+  const { rows } = merge(
+    [
+      sheetHeaders,
+      sheetRow({ "Room ID": "1", "Vote: Alice": "yes" }, sheetHeaders),
+    ],
+    [listing("1")]
+  );
+  assert.strictEqual(rows[0]["Vote: Alice"], "yes");
+
+  // The user's own columns are not part of the merged values at all
+  assert.strictEqual(rows[0]["My notes"], undefined);
+});
+
+test("finds columns under renamed and former headers", () => {
+  const renamed = background.applyColumnSettings(SHEET_COLUMNS, {
+    columns: [{ header: "Room ID", label: "Listing ID" }],
+    dateFormat: "yyyy-mm-dd",
+  });
+  const merged = background.mergeWishlistRows(
+    [
+      ["Room ID", "Property Name"],
+      ["1", "Old name"],
+    ],
+    [listing("1")],
+    renamed
+  );
+  assert.deepStrictEqual(Object.assign({}, merged.stats), {
+    added: 0,
+    updated: 1,
+    removed: 0,
+  });
+  assert.strictEqual(merged.values[0].includes("Listing ID"), true);
+});
+
+test("finds listings by link in sheets without a room ID column", () => {
+  const merged = background.mergeWishlistRows(
+    [
+      ["Link to listing", "Property Name"],
+      ["https://www.airbnb.com/rooms/1?check_in=2026-01-01", "Old name"],
+    ],
+    [listing("1")],
+    columns
+  );
+  assert.deepStrictEqual(Object.assign({}, merged.stats), {
+    added: 0,
+    updated: 1,
+    removed: 0,
+  });
+});
+
+test("merges duplicate rows of a listing still in the wishlist", () => {
+  const { stats, rows } = merge(
+    [
+      headers,
+      sheetRow({ "Room ID": "1" }),
+      sheetRow({ "Room ID": "1", "Vote: Alice": "yes" }),
+    ],
+    [listing("1")]
+  );
+  assert.deepStrictEqual(stats, { added: 0, updated: 1, removed: 0 });
+  assert.strictEqual(rows.length, 1);
+  assert.strictEqual(rows[0].Status, "Active");
+  assert.strictEqual(rows[0]["Vote: Alice"], "yes");
+});
+
+test("does not append listings without a room ID again", () => {
+  const item = {
+    propertyName: "Luxe villa",
+    link: "https://www.airbnb.com/luxury/listing/7?check_in=2026-01-01",
+  };
+  const first = merge([headers], [item]);
+  assert.deepStrictEqual(first.stats, { added: 1, updated: 0, removed: 0 });
+
+  const second = merge(
+    [headers].concat(first.rows.map((row) => sheetRow(row))),
+    [Object.assign({}, item, { link: item.link.replace("01-01", "02-01") })]
+  );
+  assert.deepStrictEqual(second.stats, { added: 0, updated: 1, removed: 0 });
+  assert.strictEqual(second.rows.length, 1);
+});
@@ -0,0 +1,89 @@
+/**
+ * Airbnb Wishlist to Google Sheets Extension
+ * Spreadsheet Destination Tests (tests/spreadsheet-destination.test.js)
+ *
+ * Checks how the spreadsheet and tab chosen in the popup are read. The
+ * background script is loaded with the scripts it imports, with just enough
+ * of the chrome APIs for them to load.
+ * Run with: node --test tests/
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+/**
+ * Loads the background script and the scripts it imports
+ * @returns {Object} The context holding the background script's functions
+ */
+function loadBackgroundScript() {
+  const event = { addListener() {} };
+  const context = vm.createContext({
+    console: { log() {}, warn() {}, error() {} },
+    chrome: {
+      runtime: {
+        onStartup: event,
+        onInstalled: event,
+        onMessage: event,
+        onConnect: event,
+      },
+      storage: { onChanged: event },
+      alarms: { onAlarm: event },
+      notifications: { onClicked: event },
+    },
+  });
+  const load = (file) =>
+    vm.runInContext(
+      fs.readFileSync(path.join(__dirname, "..", file), "utf8"),
+      context,
+      { filename: file }
+    );
+  context.importScripts = (...files) => files.forEach(load);
+  load("background.js");
+  return context;
+}
+
+const background = loadBackgroundScript();
+
+test("reads the spreadsheet ID from Google Sheets URLs", () => {
+  const id = "1AbCdEfGhIjKlMnOpQrStUvWxYz_0123456789-ab";
+  assert.strictEqual(
+    background.parseSpreadsheetId(
+      `https://docs.google.com/spreadsheets/d/${id}/edit#gid=0`
+    ),
+    id
+  );
+  assert.strictEqual(
+    background.parseSpreadsheetId(
+      ` https://docs.google.com/spreadsheets/u/1/d/${id}/edit?usp=sharing `
+    ),
+    id
+  );
+});
+
+test("takes a bare spreadsheet ID", () => {
+  const id = "1AbCdEfGhIjKlMnOpQrStUvWxYz_0123456789-ab";
+  assert.strictEqual(background.parseSpreadsheetId(id), id);
+});
+
+test("rejects destinations that are not spreadsheets", () => {
+  assert.strictEqual(background.parseSpreadsheetId(""), null);
+  assert.strictEqual(background.parseSpreadsheetId("my trip sheet"), null);
+  assert.strictEqual(
+    background.parseSpreadsheetId("https://docs.google.com/document/d/"),
+    null
+  );
+});
+
+test("names the ranking tab after its wishlist tab", () => {
+  assert.strictEqual(
+    background.rankingSheetTitleFor("Lisbon"),
+    "Ranking: Lisbon"
+  );
+  assert.strictEqual(
+    background.rankingSheetTitleFor("x".repeat(120)).length,
+    100
+  );
+});